@@ -8,18 +8,27 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const { config } = require('../utils/config');
+const { isRetryableError, getRetryDelay, describeError } = require('./retryPolicy');
 
 class ApiClient {
-  constructor(logger) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [connection] - Instance to connect to instead of the configured one
+   * @param {string} [connection.baseUrl] - API base URL (ending in /api)
+   * @param {string} [connection.key] - API key
+   * @param {AbortSignal} [connection.signal] - Aborts every request, including retry waits, when signalled
+   */
+  constructor(logger, connection = {}) {
     this.logger = logger;
-    this.baseURL = config.api.baseUrl;
-    this.apiKey = config.api.key;
-    
+    this.baseURL = connection.baseUrl || config.api.baseUrl;
+    this.apiKey = connection.key || config.api.key;
+    this.signal = connection.signal || null;
     
     // Create axios instance with default configuration
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: config.api.timeout,
+      signal: this.signal || undefined,
       headers: {
         'X-API-Key': this.apiKey,
         'User-Agent': 'BFM-Podcast-Art-Regenerator/1.0.0'
@@ -49,31 +58,75 @@ class ApiClient {
   /**
    * Retry wrapper for API calls
    * @param {Function} apiCall - Function that returns a promise
-   * @param {number} attempts - Number of retry attempts
+   * @param {Object|number} [policy=config.api.retryPolicies.read] - Retry policy, or a plain attempt count
    * @returns {Promise} API response
    */
-  async withRetry(apiCall, attempts = config.api.retryAttempts) {
-    for (let i = 0; i < attempts; i++) {
+  async withRetry(apiCall, policy = config.api.retryPolicies.read) {
+    if (typeof policy === 'number') {
+      policy = { ...config.api.retryPolicies.read, attempts: policy };
+    }
+
+    for (let i = 0; i < policy.attempts; i++) {
       try {
         return await apiCall();
       } catch (error) {
-        const isLastAttempt = i === attempts - 1;
+        const isLastAttempt = i === policy.attempts - 1;
         
         if (isLastAttempt) {
           throw error;
         }
 
-        // Calculate exponential backoff delay
-        const delay = config.api.retryDelay * Math.pow(2, i);
-        if (this.logger && this.logger.verbose) {
-          this.logger.verbose(`Retry attempt ${i + 1}/${attempts} after ${delay}ms delay`);
+        // Permanent failures (401, 403, 404, 413, ...) will never succeed
+        if (!isRetryableError(error, policy)) {
+          if (this.logger) {
+            this.logger.verbose(`Not retrying: ${describeError(error)} is not a transient error`);
+          }
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, i, policy);
+        if (delay === null) {
+          if (this.logger) {
+            this.logger.verbose(`Not retrying: server asked to wait longer than ${policy.maxRetryAfter}ms`);
+          }
+          throw error;
+        }
+
+        if (this.logger) {
+          this.logger.verbose(`Retry attempt ${i + 1}/${policy.attempts} after ${delay}ms delay (${describeError(error)})`);
         }
         
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await this.wait(delay);
       }
     }
   }
 
+  /**
+   * Wait before a retry, ending early if the abort signal fires
+   * @param {number} delay - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  async wait(delay) {
+    const signal = this.signal;
+    if (signal && signal.aborted) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', done);
+        }
+        resolve();
+      };
+      const timer = setTimeout(done, delay);
+      if (signal) {
+        signal.addEventListener('abort', done);
+      }
+    });
+  }
+
   /**
    * Get podcast episodes with pagination
    * @param {number} stationId - Station ID
@@ -114,18 +167,33 @@ class ApiClient {
    * Download media artwork
    * @param {number} stationId - Station ID
    * @param {string} mediaUniqueId - Media unique ID (playlist_media_id)
-   * @returns {Promise<Buffer>} Image data as buffer
+   * @returns {Promise<Object>} Artwork download ({ buffer, finalUrl, redirected, contentType })
    */
   async downloadMediaArtwork(stationId, mediaUniqueId) {
+    return this.downloadArtwork(`/station/${stationId}/art/${mediaUniqueId}`);
+  }
+
+  /**
+   * Download an image, following redirects and recording where they ended up
+   * @param {string} url - API endpoint or absolute URL
+   * @returns {Promise<Object>} { buffer, finalUrl, redirected, contentType }
+   */
+  async downloadArtwork(url) {
     return this.withRetry(async () => {
-      const response = await this.client.get(
-        `/station/${stationId}/art/${mediaUniqueId}`,
-        {
-          responseType: 'arraybuffer',
-          maxRedirects: 5 // Follow redirects
-        }
-      );
-      return Buffer.from(response.data);
+      const response = await this.client.get(url, {
+        responseType: 'arraybuffer',
+        maxRedirects: 5 // Follow redirects
+      });
+
+      const requestedUrl = this.client.getUri(response.config);
+      const finalUrl = response.request?.res?.responseUrl || requestedUrl;
+
+      return {
+        buffer: Buffer.from(response.data),
+        finalUrl,
+        redirected: finalUrl !== requestedUrl,
+        contentType: response.headers['content-type'] || null
+      };
     });
   }
 
@@ -136,20 +204,38 @@ class ApiClient {
    * @param {string} episodeId - Episode ID
    * @param {Buffer} imageBuffer - Image data as buffer
    * @param {string} [filename='artwork.jpg'] - Filename for the upload
+   * @param {string} [contentType='image/jpeg'] - MIME type of the image
+   * @returns {Promise<Object>} Upload response
+   */
+  async uploadEpisodeArtwork(stationId, podcastId, episodeId, imageBuffer, filename = 'artwork.jpg', contentType = 'image/jpeg') {
+    return this.uploadArtwork(
+      `/station/${stationId}/podcast/${podcastId}/episode/${episodeId}/art`,
+      imageBuffer,
+      filename,
+      contentType
+    );
+  }
+
+  /**
+   * Upload an image as multipart form data to an art endpoint
+   * @param {string} endpoint - Art endpoint (without base URL)
+   * @param {Buffer} imageBuffer - Image data as buffer
+   * @param {string} filename - Filename for the upload
+   * @param {string} contentType - MIME type of the image
    * @returns {Promise<Object>} Upload response
    */
-  async uploadEpisodeArtwork(stationId, podcastId, episodeId, imageBuffer, filename = 'artwork.jpg') {
+  async uploadArtwork(endpoint, imageBuffer, filename, contentType) {
     return this.withRetry(async () => {
       const FormData = require('form-data');
       const form = new FormData();
       
       form.append('art', imageBuffer, {
         filename: filename,
-        contentType: 'image/jpeg'
+        contentType: contentType
       });
 
       const response = await this.client.post(
-        `/station/${stationId}/podcast/${podcastId}/episode/${episodeId}/art`,
+        endpoint,
         form,
         {
           headers: {
@@ -159,9 +245,74 @@ class ApiClient {
         }
       );
       return response.data;
+    }, config.api.retryPolicies.upload);
+  }
+
+  /**
+   * Delete episode artwork
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {string} episodeId - Episode ID
+   * @returns {Promise<Object>} Delete response
+   */
+  async deleteEpisodeArtwork(stationId, podcastId, episodeId) {
+    return this.withRetry(async () => {
+      const response = await this.client.delete(
+        `/station/${stationId}/podcast/${podcastId}/episode/${episodeId}/art`
+      );
+      return response.data;
+    }, config.api.retryPolicies.upload);
+  }
+
+  /**
+   * Get podcast details
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @returns {Promise<Object>} Podcast details
+   */
+  async getPodcast(stationId, podcastId) {
+    return this.withRetry(async () => {
+      const response = await this.client.get(`/station/${stationId}/podcast/${podcastId}`);
+      return response.data;
     });
   }
 
+  /**
+   * Download a podcast's cover art
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @returns {Promise<Object>} Artwork download ({ buffer, finalUrl, redirected, contentType })
+   */
+  async downloadPodcastArtwork(stationId, podcastId) {
+    return this.downloadArtwork(`/station/${stationId}/podcast/${podcastId}/art`);
+  }
+
+  /**
+   * Upload podcast cover art
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Buffer} imageBuffer - Image data as buffer
+   * @param {string} [filename='artwork.jpg'] - Filename for the upload
+   * @param {string} [contentType='image/jpeg'] - MIME type of the image
+   * @returns {Promise<Object>} Upload response
+   */
+  async uploadPodcastArtwork(stationId, podcastId, imageBuffer, filename = 'artwork.jpg', contentType = 'image/jpeg') {
+    return this.uploadArtwork(`/station/${stationId}/podcast/${podcastId}/art`, imageBuffer, filename, contentType);
+  }
+
+  /**
+   * Delete podcast cover art
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @returns {Promise<Object>} Delete response
+   */
+  async deletePodcastArtwork(stationId, podcastId) {
+    return this.withRetry(async () => {
+      const response = await this.client.delete(`/station/${stationId}/podcast/${podcastId}/art`);
+      return response.data;
+    }, config.api.retryPolicies.upload);
+  }
+
   /**
    * Get station podcasts list
    * @param {number} stationId - Station ID
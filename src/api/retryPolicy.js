@@ -0,0 +1,101 @@
+/**
+ * Retry policy helpers for AzuraCast API calls
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+// Network-level error codes that usually clear up on their own
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_NETWORK'
+];
+
+/**
+ * Decide whether a failed request is worth retrying under a policy
+ * @param {Error} error - Error thrown by axios
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} True for transient failures, false for permanent ones
+ */
+function isRetryableError(error, policy) {
+  if (error.response) {
+    return policy.retryStatuses.includes(error.response.status);
+  }
+
+  // Cancelled requests must never be retried
+  if (error.code === 'ERR_CANCELED') {
+    return false;
+  }
+
+  // No response at all: connection reset, timeout, DNS hiccup
+  return TRANSIENT_ERROR_CODES.includes(error.code) || !!error.request;
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|number} value - Header value (delay in seconds or an HTTP date)
+ * @returns {number|null} Delay in milliseconds or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Calculate how long to wait before the next attempt
+ * @param {Error} error - Error thrown by axios
+ * @param {number} attempt - Zero-based index of the attempt that just failed
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} Delay in milliseconds, or null if the server asked for a longer wait than the policy allows
+ */
+function getRetryDelay(error, attempt, policy) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxRetryAfter ? retryAfter : null;
+  }
+
+  const backoff = Math.min(policy.baseDelay * Math.pow(2, attempt), policy.maxDelay);
+
+  // Spread retries out so parallel workers don't hit the server in lockstep
+  return Math.round(backoff * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Describe an error for retry log messages
+ * @param {Error} error - Error thrown by axios
+ * @returns {string} Short description such as "HTTP 503" or "ECONNRESET"
+ */
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code || error.message || 'unknown error';
+}
+
+module.exports = {
+  TRANSIENT_ERROR_CODES,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  describeError
+};
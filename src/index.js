@@ -6,167 +6,973 @@
  * Licensed under GPL v2
  */
 
-const { Command } = require('commander');
+const { Command, Option } = require('commander');
 const Logger = require('./utils/logger');
-const { config, getStationConfig, validateConfig, isConfigured } = require('./utils/config');
+const { config, getStationConfig, validateConfig, isConfigured, applyProfile } = require('./utils/config');
 const ApiClient = require('./api/client');
-const ProgressTracker = require('./services/progress');
-const EpisodeDatabase = require('./services/episodeDatabase');
+const StateStore = require('./services/stateStore');
 const PodcastService = require('./services/podcast');
 const InitializationService = require('./services/initialization');
+const UnattendedPolicy = require('./services/unattendedPolicy');
+const ArtworkProcessor = require('./services/artworkProcessor');
+const PlaceholderDetector = require('./services/placeholderDetector');
+const ArtworkBackup = require('./services/artworkBackup');
+const EpisodeSelector = require('./services/episodeSelector');
+const EpisodeCatalog = require('./services/episodeCatalog');
+const ShutdownController = require('./utils/shutdown');
+const LockFile = require('./utils/lockFile');
+const RunReport = require('./services/runReport');
+const { createRunId } = require('./utils/runId');
+const { ERROR_CATEGORIES } = require('./utils/errorCategory');
+
+/**
+ * Collect the values of a repeatable option
+ * @param {string} value - Value given on the command line
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} All values
+ */
+function collectValues(value, previous) {
+  return previous.concat([value]);
+}
 
 // Initialize CLI
 const program = new Command();
 
+// Logger for the process-level handlers at the end of this file, set once options are parsed
+let activeLogger = null;
+
+/**
+ * Create a logger that only writes colored text to the console, for reporting errors
+ * when the configured logger can't be used
+ * @param {boolean} [verbose=false] - Log debug events
+ * @returns {Logger} Logger
+ */
+function createConsoleLogger(verbose = false) {
+  return new Logger(verbose, { format: 'text', file: false });
+}
+
+/**
+ * Create the logger for a command from the logging options. A log file that can't be
+ * written (or an invalid LOG_FORMAT) is a fatal error, reported on the console.
+ * @param {Object} options - Program options
+ * @returns {Logger} Logger
+ */
+function createLogger(options) {
+  try {
+    activeLogger = new Logger(options.verbose, { format: options.logFormat, file: options.logFile });
+  } catch (error) {
+    activeLogger = createConsoleLogger(options.verbose);
+    activeLogger.error(`Fatal error occurred: ${error.message}`);
+    process.exit(1);
+  }
+  return activeLogger;
+}
+
+/**
+ * Lock the data directory for this run, exiting if another run holds it.
+ * The lock is released when the process exits.
+ * @param {Logger} logger - Logger instance
+ */
+function acquireRunLock(logger) {
+  try {
+    new LockFile(config.processing.lockFile, logger).acquire();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
 program
   .name('podcast-art-regenerator')
   .description('Regenerate podcast episode artwork from media files')
   .version('1.0.0');
 
 program
-  .option('-b, --batch-size <number>', 'Episodes per batch', config.processing.defaultBatchSize)
+  .option('-b, --batch-size <number>', `Episodes per batch (default: ${config.processing.defaultBatchSize}, or the profile's batch size)`)
+  .option('-c, --concurrency <number>', 'Episodes processed in parallel within a batch', config.processing.maxConcurrent)
   .option('-p, --start-page <number>', 'Starting page number', 1)
   .option('-d, --dry-run', 'Test run without uploading artwork', false)
   .option('-r, --resume', 'Resume from saved progress', false)
   .option('--reset', 'Reset progress and start fresh', false)
   .option('-v, --verbose', 'Enable verbose logging', false)
   .option('--force', 'Process episodes even if they already have custom art', false)
+  .option('--no-normalize', 'Upload artwork without squaring, resizing or re-encoding it')
+  .option('--verify', 'Re-download each episode\'s art after upload and compare it with what was uploaded', false)
+  .option('--no-backup', 'Overwrite episode art without saving the current art first')
+  .option('--rollback <runId>', 'Restore the episode or podcast art saved before the given run overwrote it')
+  .option('--retry-failed', 'Reprocess only episodes that previously failed', false)
+  .option('--error-match <pattern>', 'With --retry-failed, only retry episodes whose error matches this pattern')
+  .option('--error-category <category>', `With --retry-failed, only retry episodes in this error category (${ERROR_CATEGORIES.join(', ')})`)
+  .option('--repair-state', 'Recompute statistics from the episode records and fix the saved state, then exit', false)
+  .option('--podcast <id>', 'Process this podcast instead of PODCAST_ID (repeatable)', collectValues, [])
+  .option('--all-podcasts', 'Process every podcast on the station', false)
+  .option('--report <path>', 'Write a report of episode results when the run ends (.csv, .json or .html)')
+  .option('--report-scope <scope>', `Episodes the report covers (${RunReport.SCOPES.join(', ')})`, 'run')
   .option('--search-title <string>', 'Search for and process a single episode by title substring')
-  .option('--initialize', 'Initialize configuration for first-time setup', false);
+  .option('--title-match <regex>', 'Only episodes whose title matches this regular expression (case-insensitive)')
+  .option('--since <date>', 'Only episodes published on or after this date (YYYY, YYYY-MM, YYYY-MM-DD or ISO timestamp)')
+  .option('--until <date>', 'Only episodes published on or before this date; a date without a time includes the whole day, month or year')
+  .option('--episode <id>', 'Only this episode (repeatable)', collectValues, [])
+  .option('--episodes-file <path>', 'Only the episodes listed in this file, one ID per line')
+  .option('--media <id>', 'Only episodes using this media file (repeatable)', collectValues, [])
+  .addOption(new Option('--custom-art <state>', 'Only episodes that do (yes) or don\'t (no) report custom art').choices(EpisodeSelector.CUSTOM_ART_STATES))
+  .option('--status <status>', `Only episodes with this local status (repeatable: ${EpisodeSelector.STATUSES.join(', ')})`, collectValues, [])
+  .option('--initialize', 'Initialize configuration for first-time setup', false)
+  .option('--profile <name>', 'Use a named profile from the profiles file instead of .env (with --initialize, create it)')
+  .option('--non-interactive', 'Run without prompts (for cron and CI)', false)
+  .option('--on-page-error <action>', 'In non-interactive mode, stop or skip when a page fails (stop, skip)', 'stop')
+  .addOption(new Option('--log-format <format>', 'Log output: colored text, or one JSON object per event').choices(['text', 'json']).default(config.logging.format))
+  .option('--log-file <path>', 'Also append log events to this file, rotating it by size')
+  .action(() => main());
+
+program
+  .command('status')
+  .description('Show saved progress and recent failures from the local state, without contacting AzuraCast')
+  .option('--json', 'Print the status as JSON', false)
+  .option('--failures <number>', 'Number of recent failures to show per podcast', 10)
+  .action((commandOptions) => showStatus({ ...program.opts(), ...commandOptions }));
+
+program
+  .command('history [runId]')
+  .description('List past runs and their results from the local state, or show one run')
+  .option('--json', 'Print the runs as JSON', false)
+  .option('--limit <number>', 'Number of recent runs to list', 20)
+  .action((runId, commandOptions) => showHistory(runId, { ...program.opts(), ...commandOptions }));
+
+program
+  .command('sync-catalog')
+  .description('Mirror episode metadata into the local catalog that search, selectors and reports read from')
+  .option('--quick', 'Stop at the first page with no new or changed episodes', false)
+  .action((commandOptions) => syncCatalog({ ...program.opts(), ...commandOptions }));
+
+program
+  .command('catalog')
+  .description('List episodes from the local catalog, narrowed by --search-title and the episode selectors')
+  .option('--json', 'Print the episodes as JSON', false)
+  .action((commandOptions) => showCatalog({ ...program.opts(), ...commandOptions }));
+
+program
+  .command('podcast-art')
+  .description('Replace the podcast\'s cover art from an image file, an episode\'s art or a media file\'s embedded art')
+  .option('--file <path>', 'Use this image file')
+  .option('--from-episode <id>', 'Use the current custom art of this episode')
+  .option('--from-media <id>', 'Use the art embedded in this media file (playlist_media_id)')
+  .action((commandOptions) => setPodcastArt({ ...program.opts(), ...commandOptions }));
+
+program
+  .command('episode <episodeId>')
+  .description('Show every recorded attempt for one episode from the local state (MAX_EPISODE_ATTEMPTS can limit how many are kept)')
+  .option('--json', 'Print the episode records as JSON', false)
+  .action((episodeId, commandOptions) => showEpisodeHistory(episodeId, { ...program.opts(), ...commandOptions }));
 
 /**
  * Prompt user for confirmation to process a found episode
  * @param {Object} episode - Episode object
+ * @param {Logger} logger - Logger
  * @returns {Promise<boolean>} True if user confirms processing
  */
-async function promptEpisodeConfirmation(episode) {
-  const readline = require('readline');
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+async function promptEpisodeConfirmation(episode, logger) {
+  const log = logger.child({ episodeId: episode.id });
+  log.plain(`\n🎯 Found episode: "${episode.title}"`);
+  log.plain(`📅 Published: ${episode.publish_at || 'Unknown'}`);
+  log.plain(`🆔 Episode ID: ${episode.id}`);
 
-  return new Promise((resolve) => {
-    console.log(`\n🎯 Found episode: "${episode.title}"`);
-    console.log(`📅 Published: ${episode.publish_at || 'Unknown'}`);
-    console.log(`🆔 Episode ID: ${episode.id}`);
-    
-    rl.question('\nProcess this episode? (y/n): ', (answer) => {
-      rl.close();
-      const choice = answer.toLowerCase().trim();
-      resolve(choice === 'y' || choice === 'yes');
-    });
-  });
+  const choice = (await log.ask('\nProcess this episode? (y/n): ')) || '';
+  return choice.toLowerCase() === 'y' || choice.toLowerCase() === 'yes';
+}
+
+/**
+ * Ask for the size of the next batch
+ * @param {Logger} logger - Logger
+ * @param {string} question - Question to ask
+ * @param {number} currentBatchSize - Batch size used when the answer is empty or invalid
+ * @param {number} page - Batch number the answer applies to
+ * @returns {Promise<number>} Batch size
+ */
+async function promptBatchSize(logger, question, currentBatchSize, page) {
+  const inputBatchSize = parseInt(await logger.ask(question, { page }));
+  return !isNaN(inputBatchSize) && inputBatchSize > 0 ? inputBatchSize : currentBatchSize;
 }
 
 /**
  * Prompt user for batch continuation and batch size
  * @param {Object} batchInfo - Batch completion information
  * @param {number} currentBatchSize - Current batch size to use as default
+ * @param {Logger} logger - Logger
  * @returns {Promise<Object>} Object with continue flag and optional new batch size
  */
-async function promptBatchContinuation(batchInfo, currentBatchSize = 50) {
-  const readline = require('readline');
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
+async function promptBatchContinuation(batchInfo, currentBatchSize = 50, logger) {
+  const fields = { page: batchInfo.page };
+
+  if (batchInfo.preProcess && batchInfo.isFirstBatch) {
+    // This is the first batch pre-processing prompt
+    logger.plain(`\n📋 Ready to start processing from page ${batchInfo.page}/${batchInfo.totalPages}`, fields);
+    logger.plain(`📄 First batch will process ${batchInfo.episodesToProcess} episodes`, fields);
+    
+    // Ask for batch size for the first batch; the command-line batch size is the default
+    const newBatchSize = await promptBatchSize(logger, `\nHow many episodes for first batch? (default: ${currentBatchSize}): `, currentBatchSize, batchInfo.page);
+    return { continue: true, newBatchSize };
+  }
+
+  if (batchInfo.error) {
+    logger.plain(`\n❌ Error on page ${batchInfo.page}: ${batchInfo.error}`, fields);
+  } else {
+    logger.plain(`\n✅ Batch ${batchInfo.page} completed`, fields);
+    if (batchInfo.totalPages) {
+      logger.plain(`📊 Progress: ${batchInfo.page}/${batchInfo.totalPages} pages`, fields);
+    }
+  }
+
+  if (batchInfo.totalResults) {
+    logger.plain(`📈 Total: ${batchInfo.totalResults.success} success, ${batchInfo.totalResults.failed} failed, ${batchInfo.totalResults.skipped} skipped`, fields);
+  }
+
+  // First ask if they want to continue
+  const answer = await logger.ask('\nContinue? (y)es, (n)o, (p)ause: ', fields);
+  if (answer === null) {
+    return { continue: false };
+  }
+  const choice = answer.toLowerCase();
+  
+  if (choice === 'n' || choice === 'no') {
+    return { continue: false };
+  }
+  if (choice === 'p' || choice === 'pause') {
+    logger.plain('⏸️  Processing paused. Use --resume to continue later.');
+    return { continue: false };
+  }
+
+  // Ask for batch size for next batch; the current batch size is the default
+  const newBatchSize = await promptBatchSize(logger, `\nHow many episodes for next batch? (default: ${currentBatchSize}): `, currentBatchSize, batchInfo.page);
+  return { continue: true, newBatchSize };
+}
+
+/**
+ * Work out which podcasts to process from --all-podcasts, --podcast or the configured podcast
+ * @param {ApiClient} apiClient - API client
+ * @param {number} stationId - Station ID
+ * @param {string} defaultPodcastId - Podcast ID from the configuration
+ * @param {Object} options - Command line options
+ * @returns {Promise<Array>} Podcasts as { id, title } in processing order
+ */
+async function resolvePodcasts(apiClient, stationId, defaultPodcastId, options) {
+  if (options.allPodcasts && options.podcast.length > 0) {
+    throw new Error('Use either --all-podcasts or --podcast, not both');
+  }
+
+  const stationPodcasts = await apiClient.getPodcasts(stationId);
+
+  if (options.allPodcasts) {
+    if (stationPodcasts.length === 0) {
+      throw new Error(`No podcasts found on station ${stationId}`);
+    }
+    return stationPodcasts.map(podcast => ({ id: podcast.id, title: podcast.title }));
+  }
+
+  const podcastIds = options.podcast.length > 0 ? [...new Set(options.podcast)] : [defaultPodcastId];
+  return podcastIds.map(podcastId => {
+    const podcast = stationPodcasts.find(p => p.id === podcastId);
+    if (!podcast) {
+      throw new Error(`Podcast "${podcastId}" not found on station ${stationId}`);
+    }
+    return { id: podcast.id, title: podcast.title };
   });
+}
 
-  return new Promise((resolve) => {
-    if (batchInfo.preProcess && batchInfo.isFirstBatch) {
-      // This is the first batch pre-processing prompt
-      console.log(`\n📋 Ready to start processing from page ${batchInfo.page}/${batchInfo.totalPages}`);
-      console.log(`📄 First batch will process ${batchInfo.episodesToProcess} episodes`);
-      
-      // Ask for batch size for the first batch
-      rl.question(`\nHow many episodes for first batch? (default: ${currentBatchSize}): `, (batchSizeAnswer) => {
-        rl.close();
-        
-        let newBatchSize = currentBatchSize; // use command-line batch size as default
-        const inputBatchSize = parseInt(batchSizeAnswer.trim());
-        
-        if (!isNaN(inputBatchSize) && inputBatchSize > 0) {
-          newBatchSize = inputBatchSize;
+/**
+ * Process one podcast in the mode chosen on the command line
+ * @param {Object} context - Services, options and settings shared by every podcast in the run
+ * @param {string} podcastId - Podcast ID
+ * @returns {Promise<Object>} Statistics for the podcast
+ */
+async function processPodcast(context, podcastId) {
+  const { apiClient, stateStore, logger, options, stationId, batchSize, startPage, unattendedPolicy, shutdown, selector } = context;
+  // A dry run keeps its own progress, so it never disturbs the saved run
+  const podcastState = options.dryRun ? stateStore.forDryRun(podcastId) : stateStore.forPodcast(podcastId);
+  const podcastService = new PodcastService(apiClient, podcastState, logger, context.serviceOptions);
+  
+  // Search, --retry-failed and selections pick their own episodes and never use the run's
+  // snapshot, so only a batch run resumes, starts or resets the saved run
+  const batchMode = !options.retryFailed && !options.searchTitle && !selector.isActive();
+  let resumeInfo = null;
+  if (batchMode) {
+    // Handle reset option
+    if (options.reset && options.dryRun) {
+      logger.info(`DRY RUN: Would reset progress for podcast ${podcastId}`);
+    } else if (options.reset) {
+      await podcastState.reset();
+    }
+
+    // Always try to load existing progress first
+    if (podcastState.hasRun()) {
+      resumeInfo = podcastState.getResumeInfo();
+      if (resumeInfo) {
+        // Validate resume parameters match
+        if (resumeInfo.stationId !== stationId) {
+          logger.warning(`Station ID mismatch: saved=${resumeInfo.stationId}, current=${stationId}`);
+          logger.warning('Starting fresh with current station ID');
+          resumeInfo = null;
+        } else {
+          if (resumeInfo.snapshotSize !== null && resumeInfo.position >= resumeInfo.snapshotSize) {
+            logger.info(`Resuming after all ${resumeInfo.snapshotSize} episodes in the run's snapshot; checking for new episodes`);
+          } else if (resumeInfo.snapshotSize !== null) {
+            logger.info(`Resuming at episode ${resumeInfo.position + 1} of ${resumeInfo.snapshotSize}`);
+          } else {
+            logger.info('Resuming; episodes already processed will be passed over');
+          }
+          logger.info(`Previous progress: ${resumeInfo.processedEpisodes}/${resumeInfo.totalEpisodes} episodes`);
         }
-        
-        resolve({ 
-          continue: true, 
-          newBatchSize: newBatchSize 
-        });
-      });
+      } else {
+        logger.info('Previous processing was already complete');
+      }
+    }
+
+    // Initialize new progress only if no valid existing progress
+    if (!resumeInfo) {
+      await podcastState.startRun(stationId, batchSize);
+      logger.info('Initialized new progress tracking');
+    }
+  } else if (options.reset) {
+    logger.warning('--reset only applies to batch runs; the saved progress was left as it is');
+  }
+  
+  // Determine starting parameters
+  const startPosition = resumeInfo ? resumeInfo.position : (startPage - 1) * batchSize;
+  
+  logger.separator();
+  
+  if (options.retryFailed) {
+    // Retry previously failed episodes only
+    const filters = {
+      errorMatch: options.errorMatch || null,
+      errorCategory: options.errorCategory || null
+    };
+    
+    const results = await podcastService.retryFailedEpisodes(
+      stationId,
+      podcastId,
+      filters,
+      options.dryRun,
+      options.force
+    );
+    
+    logger.separator();
+    logger.success('Retry of failed episodes completed!');
+    if (results.missing > 0) {
+      logger.warning(`${results.missing} failed episode(s) no longer exist in the podcast`);
+    }
+    const stats = {
+      total: results.total,
+      success: results.success,
+      failed: results.failed,
+      skipped: results.skipped,
+      noSourceArt: results.noSourceArt,
+      verifyFailed: results.verifyFailed
+    };
+    logger.stats(stats);
+    return stats;
+  }
+  
+  if (options.searchTitle) {
+    // Search for and process episodes by title
+    logger.info(`Searching for episode with title containing: "${options.searchTitle}"`);
+    
+    // Search for episodes, then narrow them down with any selectors
+    let matchingEpisodes = await podcastService.searchEpisodesByTitle(
+      stationId,
+      podcastId,
+      options.searchTitle
+    );
+    if (selector.isActive()) {
+      matchingEpisodes = matchingEpisodes.filter(episode => selector.matches(episode, podcastState));
+      logger.info(`Narrowed to episodes where ${selector.describe()}`);
+    }
+    
+    if (matchingEpisodes.length === 0) {
+      logger.warning(`No episodes found containing: "${options.searchTitle}"`);
+      return { total: 0, success: 0, failed: 0, skipped: 0, noSourceArt: 0, verifyFailed: 0 };
+    }
+    
+    logger.success(`Found ${matchingEpisodes.length} matching episode(s)`);
+    
+    // Process each matching episode
+    let processedCount = 0;
+    let successCount = 0;
+    let failedCount = 0;
+    let skippedCount = 0;
+    let noSourceArtCount = 0;
+    let verifyFailedCount = 0;
+    
+    for (const episode of matchingEpisodes) {
+      if (shutdown.requested) {
+        break;
+      }
+      
+      // Ask for confirmation
+      const shouldProcess = unattendedPolicy
+        ? await unattendedPolicy.confirmEpisode(episode)
+        : await promptEpisodeConfirmation(episode, logger);
+      
+      if (!shouldProcess) {
+        logger.info('Skipping episode');
+        skippedCount++;
+        continue;
+      }
+      
+      // Process the episode as it is now, not as the catalog last saw it
+      const [current] = await podcastService.refreshSelectedEpisodes(stationId, podcastId, [episode]);
+      if (!current) {
+        skippedCount++;
+        continue;
+      }
+      logger.info(`Processing episode: "${current.title}"`);
+      const status = await podcastService.processEpisode(
+        stationId,
+        podcastId,
+        current,
+        options.dryRun,
+        options.force,
+        logger.child({ episodeId: episode.id })
+      );
+      
+      if (!status) {
+        // Interrupted by the shutdown; nothing was recorded
+        break;
+      }
+      
+      processedCount++;
+      if (status === 'success') {
+        successCount++;
+        logger.success(`Episode processed successfully`);
+      } else if (status === 'failed') {
+        failedCount++;
+        logger.error(`Episode processing failed`);
+      } else if (status === 'verify-failed') {
+        verifyFailedCount++;
+        logger.error(`Uploaded artwork failed verification`);
+      } else if (status === 'no-source-art') {
+        noSourceArtCount++;
+        logger.warning(`Media file has no embedded artwork`);
+      } else {
+        skippedCount++;
+        logger.info(`Episode was skipped`);
+      }
+    }
+    
+    // Show final results for search
+    logger.separator();
+    if (shutdown.requested) {
+      logger.warning('Search processing stopped for shutdown');
+    } else {
+      logger.success('Search and processing completed!');
+    }
+    const stats = {
+      total: processedCount,
+      success: successCount,
+      failed: failedCount,
+      skipped: skippedCount,
+      noSourceArt: noSourceArtCount,
+      verifyFailed: verifyFailedCount
+    };
+    logger.stats(stats);
+    return stats;
+  }
+  
+  // Regular batch processing mode
+  const onBatchComplete = unattendedPolicy
+    ? (batchInfo) => unattendedPolicy.onBatchComplete(batchInfo)
+    : (batchInfo) => promptBatchContinuation(batchInfo, batchSize, logger);
+  
+  let results;
+  if (selector.isActive()) {
+    // Only the selected episodes; the saved resume position is left alone
+    results = await podcastService.processSelection(
+      stationId,
+      podcastId,
+      selector,
+      batchSize,
+      options.dryRun,
+      options.force,
+      onBatchComplete
+    );
+  } else {
+    if (!resumeInfo && startPage > 1) {
+      logger.info(`Starting processing from page ${startPage} (episode ${startPosition + 1})`);
+    }
+    
+    // Process all episodes
+    results = await podcastService.processAllEpisodes(
+      stationId,
+      podcastId,
+      batchSize,
+      startPosition,
+      options.dryRun,
+      options.force,
+      onBatchComplete
+    );
+  }
+  
+  // Show final results
+  logger.separator();
+  if (shutdown.requested) {
+    logger.warning('Processing stopped for shutdown');
+  } else {
+    logger.success('Processing completed!');
+  }
+  const stats = {
+    total: results.processed,
+    success: results.success,
+    failed: results.failed,
+    skipped: results.skipped,
+    noSourceArt: results.noSourceArt,
+    verifyFailed: results.verifyFailed,
+    passedOver: results.passedOver
+  };
+  logger.stats(stats);
+  
+  // Show failed episodes if any
+  const failedEpisodes = podcastState.getFailedEpisodes();
+  if (failedEpisodes.length > 0) {
+    logger.warning(`${failedEpisodes.length} episodes failed to process`);
+    logger.info('Use --verbose flag to see detailed error information');
+  }
+  
+  return stats;
+}
+
+/**
+ * Show saved progress and recent failures for each podcast. Reads the local state only.
+ * @param {Object} options - Program options merged with the status command's options
+ */
+async function showStatus(options) {
+  const consoleLogger = createLogger(options);
+  // With --json, stdout holds only the JSON document
+  const logger = options.json ? consoleLogger.toStderr() : consoleLogger;
+
+  try {
+    if (options.profile) {
+      applyProfile(options.profile);
+    }
+
+    const failureLimit = parseInt(options.failures);
+    if (isNaN(failureLimit) || failureLimit < 0) {
+      throw new Error('Number of failures to show must be zero or more');
+    }
+
+    const stateStore = new StateStore(logger);
+    await stateStore.initialize({ readOnly: true });
+
+    const podcastIds = options.podcast.length > 0 ? options.podcast : stateStore.getPodcastIds();
+    const status = {
+      stateFile: stateStore.stateFile,
+      profile: config.profiles.active,
+      podcasts: podcastIds.map(podcastId => stateStore.forPodcast(podcastId).getStatus(failureLimit))
+    };
+
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
       return;
     }
 
-    if (batchInfo.error) {
-      console.log(`\n❌ Error on page ${batchInfo.page}: ${batchInfo.error}`);
+    logger.info(`State file: ${status.stateFile}`);
+    if (status.profile) {
+      logger.info(`Profile: ${status.profile}`);
+    }
+    if (status.podcasts.length === 0) {
+      logger.info('No runs recorded yet');
+    }
+    for (const podcastStatus of status.podcasts) {
+      logger.separator();
+      logger.podcastStatus(podcastStatus);
+    }
+  } catch (error) {
+    logger.error(error.message, error);
+    process.exit(1);
+  }
+}
+
+/**
+ * List recorded runs, newest first, or show a single run. Reads the local state only.
+ * @param {string} [runId] - Run to show
+ * @param {Object} options - Program options merged with the history command's options
+ */
+async function showHistory(runId, options) {
+  const consoleLogger = createLogger(options);
+  // With --json, stdout holds only the JSON document
+  const logger = options.json ? consoleLogger.toStderr() : consoleLogger;
+
+  try {
+    if (options.profile) {
+      applyProfile(options.profile);
+    }
+
+    const limit = parseInt(options.limit);
+    if (isNaN(limit) || limit < 1) {
+      throw new Error('Number of runs to list must be a positive integer');
+    }
+
+    const stateStore = new StateStore(logger);
+    await stateStore.initialize({ readOnly: true });
+
+    let runs;
+    if (runId) {
+      const run = stateStore.getRun(runId);
+      if (!run) {
+        throw new Error(`Run ${runId} not found in ${stateStore.stateFile}`);
+      }
+      runs = [run];
     } else {
-      console.log(`\n✅ Batch ${batchInfo.page} completed`);
-      if (batchInfo.totalPages) {
-        console.log(`📊 Progress: ${batchInfo.page}/${batchInfo.totalPages} pages`);
+      runs = stateStore.getRuns(limit);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(runId ? runs[0] : runs, null, 2));
+      return;
+    }
+
+    if (runs.length === 0) {
+      logger.info('No runs recorded yet');
+    }
+    for (const run of runs) {
+      logger.separator();
+      logger.runSummary(run, !!runId);
+    }
+  } catch (error) {
+    logger.error(error.message, error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Build the episode selector from the selector options
+ * @param {Object} options - Program options
+ * @returns {EpisodeSelector} Selector
+ */
+function createSelector(options) {
+  return new EpisodeSelector({
+    titleMatch: options.titleMatch || null,
+    since: options.since || null,
+    until: options.until || null,
+    episodeIds: options.episodesFile
+      ? [...options.episode, ...EpisodeSelector.readIdFile(options.episodesFile)]
+      : options.episode,
+    mediaIds: options.media,
+    customArt: options.customArt || null,
+    statuses: options.status
+  });
+}
+
+/**
+ * Mirror the metadata of each podcast's episodes into the local catalog
+ * @param {Object} options - Program options merged with the sync-catalog command's options
+ */
+async function syncCatalog(options) {
+  const logger = createLogger(options);
+
+  try {
+    if (options.profile) {
+      applyProfile(options.profile);
+    }
+    if (!isConfigured()) {
+      throw new Error('Configuration not found or incomplete. Run with --initialize to set up the tool for first use.');
+    }
+    validateConfig();
+
+    const stationConfig = getStationConfig();
+    const stationId = stationConfig.id;
+
+    // The catalog is written, so no run may be using the data directory
+    acquireRunLock(logger);
+
+    const apiClient = new ApiClient(logger);
+    const podcasts = await resolvePodcasts(apiClient, stationId, stationConfig.podcastId, options);
+
+    const catalog = new EpisodeCatalog(apiClient, logger);
+    await catalog.initialize();
+
+    for (const podcast of podcasts) {
+      const label = podcast.title ? `${podcast.title} (ID: ${podcast.id})` : podcast.id;
+      logger.progress(`Syncing episode catalog for ${label}${options.quick ? ' (quick)' : ''}...`);
+      const counts = await catalog.sync(stationId, podcast.id, { quick: options.quick });
+      logger.success(`Catalog for ${label}: ${counts.total} episodes - ${counts.added} new, ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.removed} removed`,
+        { podcastId: podcast.id, counts });
+    }
+  } catch (error) {
+    logger.error(`Catalog sync failed: ${error.message}`, error);
+    process.exit(1);
+  }
+}
+
+/**
+ * List episodes from the local catalog with their local status. Reads local files only.
+ * @param {Object} options - Program options merged with the catalog command's options
+ */
+async function showCatalog(options) {
+  const consoleLogger = createLogger(options);
+  // With --json, stdout holds only the JSON document
+  const logger = options.json ? consoleLogger.toStderr() : consoleLogger;
+
+  try {
+    if (options.profile) {
+      applyProfile(options.profile);
+    }
+    const selector = createSelector(options);
+    const search = options.searchTitle ? options.searchTitle.toLowerCase() : null;
+
+    const catalog = new EpisodeCatalog(null, logger);
+    await catalog.initialize({ readOnly: true });
+    const stateStore = new StateStore(logger);
+    await stateStore.initialize({ readOnly: true });
+
+    const podcastIds = options.podcast.length > 0
+      ? options.podcast
+      : catalog.getPodcastIds();
+
+    const podcasts = [];
+    for (const podcastId of podcastIds) {
+      if (!catalog.hasPodcast(podcastId)) {
+        throw new Error(`Podcast ${podcastId} is not in the catalog; run sync-catalog first`);
       }
+      const podcastState = stateStore.forPodcast(podcastId);
+      const episodes = catalog.getEpisodes(podcastId)
+        .filter(episode => !search || (episode.title || '').toLowerCase().includes(search))
+        .filter(episode => selector.matches(episode, podcastState))
+        .map(episode => ({ ...episode, status: podcastState.getEpisodeStatus(episode.id) || 'unprocessed' }));
+      podcasts.push({ podcastId, syncedAt: catalog.getPodcast(podcastId).syncedAt, episodes });
     }
 
-    if (batchInfo.totalResults) {
-      console.log(`📈 Total: ${batchInfo.totalResults.success} success, ${batchInfo.totalResults.failed} failed, ${batchInfo.totalResults.skipped} skipped`);
+    if (options.json) {
+      console.log(JSON.stringify(podcasts, null, 2));
+      return;
     }
 
-    // First ask if they want to continue
-    rl.question('\nContinue? (y)es, (n)o, (p)ause: ', (answer) => {
-      const choice = answer.toLowerCase().trim();
-      
-      if (choice === 'n' || choice === 'no') {
-        rl.close();
-        resolve({ continue: false });
-      } else if (choice === 'p' || choice === 'pause') {
-        console.log('⏸️  Processing paused. Use --resume to continue later.');
-        rl.close();
-        resolve({ continue: false });
-      } else {
-        // Ask for batch size for next batch
-        rl.question(`\nHow many episodes for next batch? (default: ${currentBatchSize}): `, (batchSizeAnswer) => {
-          rl.close();
-          
-          let newBatchSize = currentBatchSize; // use current batch size as default
-          const inputBatchSize = parseInt(batchSizeAnswer.trim());
-          
-          if (!isNaN(inputBatchSize) && inputBatchSize > 0) {
-            newBatchSize = inputBatchSize;
-          }
-          
-          resolve({ 
-            continue: true, 
-            newBatchSize: newBatchSize 
-          });
-        });
+    if (podcasts.length === 0) {
+      logger.info('The catalog is empty; run sync-catalog first');
+    }
+    for (const podcast of podcasts) {
+      logger.separator();
+      logger.info(`Podcast ${podcast.podcastId}: ${podcast.episodes.length} matching episode(s), catalog synced at ${podcast.syncedAt}`);
+      const idWidth = Math.max(0, ...podcast.episodes.map(episode => String(episode.id).length));
+      for (const episode of podcast.episodes) {
+        const published = EpisodeSelector.publishTime(episode);
+        const date = published === null ? '-'.padEnd(10) : new Date(published).toISOString().slice(0, 10);
+        logger.plain(`  ${String(episode.id).padEnd(idWidth)}  ${date}  ${episode.status.padEnd(13)}  ${episode.title || ''}`, { podcastId: podcast.podcastId, episodeId: episode.id });
       }
+    }
+  } catch (error) {
+    logger.error(error.message, error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Replace one podcast's cover art. Honors --dry-run, --no-backup, --no-normalize and --verify
+ * like episode processing, and is recorded as a run so it can be rolled back.
+ * @param {Object} options - Program options merged with the podcast-art command's options
+ */
+async function setPodcastArt(options) {
+  const logger = createLogger(options);
+  let currentRun = null;
+
+  try {
+    if (options.profile) {
+      applyProfile(options.profile);
+    }
+    if (!isConfigured()) {
+      throw new Error('Configuration not found or incomplete. Run with --initialize to set up the tool for first use.');
+    }
+    validateConfig();
+
+    const sources = [
+      options.file && { source: { file: options.file }, description: `file ${options.file}` },
+      options.fromEpisode && { source: { episodeId: options.fromEpisode }, description: `episode ${options.fromEpisode}` },
+      options.fromMedia && { source: { mediaId: options.fromMedia }, description: `media ${options.fromMedia}` }
+    ].filter(Boolean);
+    if (sources.length !== 1) {
+      throw new Error('Give exactly one of --file, --from-episode or --from-media');
+    }
+    const { source, description } = sources[0];
+
+    if (options.allPodcasts || new Set(options.podcast).size > 1) {
+      throw new Error('Podcast art is set for one podcast at a time; give a single --podcast or use the configured podcast');
+    }
+
+    const stationConfig = getStationConfig();
+    const stationId = stationConfig.id;
+    const runId = createRunId();
+
+    // Backups and run history are written, so no run may be using the data directory
+    acquireRunLock(logger);
+
+    const apiClient = new ApiClient(logger);
+    const [podcast] = await resolvePodcasts(apiClient, stationId, stationConfig.podcastId, options);
+    const label = podcast.title ? `${podcast.title} (ID: ${podcast.id})` : podcast.id;
+
+    const stateStore = new StateStore(logger);
+    await stateStore.initialize();
+    const placeholderDetector = new PlaceholderDetector(apiClient, logger);
+    await placeholderDetector.initialize(stationId);
+    const artworkBackup = new ArtworkBackup(apiClient, stateStore, logger, runId);
+
+    const podcastService = new PodcastService(apiClient, null, logger, {
+      artworkProcessor: options.normalize && config.artwork.normalize ? new ArtworkProcessor(logger) : null,
+      placeholderDetector,
+      verify: options.verify,
+      artworkBackup: options.backup ? artworkBackup : null,
+      runId
     });
-  });
+
+    logger.info(`Run ID: ${runId}`);
+    if (options.dryRun) {
+      logger.warning('DRY RUN MODE - No artwork will be uploaded');
+    } else if (!options.backup) {
+      logger.warning('Backups disabled - the current podcast art cannot be rolled back');
+    }
+
+    await stateStore.startRun({
+      runId,
+      stationId,
+      podcasts: [podcast],
+      profile: config.profiles.active,
+      options: { dryRun: options.dryRun, podcastArt: description }
+    });
+    currentRun = { stateStore, runId };
+
+    logger.progress(`Setting cover art of ${label} from ${description}...`);
+    const result = await podcastService.setPodcastArt(stationId, podcast.id, source, options.dryRun);
+    await stateStore.finishRun(runId, 'completed');
+
+    if (!options.dryRun) {
+      logger.success(`Uploaded ${result.bytes} bytes (${result.mimeType}) as the cover art of ${label}${result.verified ? ' and verified it' : ''}`);
+      if (options.backup) {
+        logger.info(`To restore the previous cover: npm run start -- --rollback ${runId}`);
+      }
+    }
+  } catch (error) {
+    if (currentRun) {
+      await currentRun.stateStore.finishRun(currentRun.runId, 'failed', error.message).catch(() => {});
+    }
+    logger.error(`Setting podcast art failed: ${error.message}`, error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Show the latest result and every recorded attempt for one episode. Looks in the podcasts
+ * given with --podcast, or in every podcast with state. Reads the local state only.
+ * @param {string} episodeId - Episode ID
+ * @param {Object} options - Program options merged with the episode command's options
+ */
+async function showEpisodeHistory(episodeId, options) {
+  const consoleLogger = createLogger(options);
+  // With --json, stdout holds only the JSON document
+  const logger = options.json ? consoleLogger.toStderr() : consoleLogger;
+
+  try {
+    if (options.profile) {
+      applyProfile(options.profile);
+    }
+
+    const stateStore = new StateStore(logger);
+    await stateStore.initialize({ readOnly: true });
+
+    const podcastIds = options.podcast.length > 0 ? options.podcast : stateStore.getPodcastIds();
+    const found = podcastIds
+      .map(podcastId => ({ podcastId, record: stateStore.forPodcast(podcastId).getEpisodeHistory(episodeId) }))
+      .filter(({ record }) => record);
+
+    if (found.length === 0) {
+      throw new Error(`No records for episode ${episodeId} in ${stateStore.stateFile}`);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(found.map(({ podcastId, record }) => ({ podcastId, ...record })), null, 2));
+      return;
+    }
+
+    for (const { podcastId, record } of found) {
+      logger.separator();
+      logger.episodeHistory(podcastId, record);
+    }
+  } catch (error) {
+    logger.error(error.message, error);
+    process.exit(1);
+  }
 }
 
 /**
  * Main processing function
  */
 async function main() {
-  const options = program.parse().opts();
+  const options = program.opts();
   
   // Initialize logger
-  const logger = new Logger(options.verbose);
+  const logger = createLogger(options);
+  let shutdown = null;
+  let currentRun = null;
   
   try {
+    // Only the setup wizard and the batch and episode prompts read from the terminal.
+    // Without one, a dry run answers the prompts unattended; anything else refuses to block on readline.
+    const showsPrompts = !options.nonInteractive && !options.repairState && !options.rollback && !options.retryFailed;
+    const answersUnattended = options.nonInteractive || (showsPrompts && options.dryRun && !process.stdin.isTTY);
+    if (!process.stdin.isTTY && (options.initialize || (showsPrompts && !answersUnattended))) {
+      logger.error('Standard input is not a terminal, so interactive prompts would hang.');
+      if (options.initialize) {
+        logger.info('Run --initialize from an interactive terminal.');
+      } else {
+        logger.info('Re-run with --non-interactive to process episodes without prompts.');
+      }
+      process.exit(1);
+    }
+
+    // A profile replaces the .env connection settings and keeps its own data directory
+    if (options.profile && !options.initialize) {
+      try {
+        applyProfile(options.profile);
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+    }
+
     // Handle initialization
     if (options.initialize) {
       const apiClient = new ApiClient(logger);
-      const initService = new InitializationService(apiClient, logger);
+      const initService = new InitializationService(apiClient, logger, options.profile);
       await initService.initialize();
       return;
     }
 
+    // Handle state repair; works offline
+    if (options.repairState) {
+      acquireRunLock(logger);
+      const stateStore = new StateStore(logger);
+      await stateStore.initialize();
+      const fixes = await stateStore.repair();
+
+      if (fixes.length === 0) {
+        logger.success('State is consistent; nothing to repair');
+      } else {
+        fixes.forEach(fix => logger.info(`Fixed: ${fix}`));
+        logger.success(`Repaired ${fixes.length} problem(s) in ${stateStore.stateFile}`);
+      }
+      logger.separator();
+      logger.podcastSummary(stateStore.getPodcastIds().map(podcastId => ({
+        podcast: { id: podcastId },
+        stats: stateStore.forPodcast(podcastId).getStats()
+      })));
+      return;
+    }
+
     // Check if configuration exists
     if (!isConfigured()) {
       logger.error('Configuration not found or incomplete.');
       logger.info('Run with --initialize to set up the tool for first use.');
       logger.info('');
-      logger.info('Example: npm run start -- --initialize');
+      logger.info(options.profile
+        ? `Example: npm run start -- --initialize --profile ${options.profile}`
+        : 'Example: npm run start -- --initialize');
       process.exit(1);
     }
 
@@ -174,26 +980,76 @@ async function main() {
     validateConfig();
     
     // Parse options
-    const batchSize = parseInt(options.batchSize);
+    const batchSize = parseInt(options.batchSize || config.processing.defaultBatchSize);
     const startPage = parseInt(options.startPage);
+    const concurrency = parseInt(options.concurrency);
+    
+    if (isNaN(concurrency) || concurrency < 1) {
+      throw new Error('Concurrency must be a positive integer');
+    }
+    
+    if (options.errorCategory && !ERROR_CATEGORIES.includes(options.errorCategory)) {
+      throw new Error(`Unknown error category "${options.errorCategory}". Use one of: ${ERROR_CATEGORIES.join(', ')}`);
+    }
+    
+    // Episode selectors apply to batch and search modes
+    const selector = createSelector(options);
+    
+    if (options.retryFailed && selector.isActive()) {
+      logger.warning('Episode selectors are ignored with --retry-failed; use --status failed to select failed episodes instead');
+    }
     
     // Get station configuration
     const stationConfig = getStationConfig();
     const stationId = stationConfig.id;
     
+    const runId = createRunId();
+    
+    // Check the report path before doing any work
+    const runReport = options.report
+      ? new RunReport(logger, { filePath: options.report, scope: options.reportScope, runId })
+      : null;
+    
     logger.info(`Podcast Art Regeneration Tool`);
+    logger.info(`Run ID: ${runId}`);
+    if (config.profiles.active) {
+      logger.info(`Profile: ${config.profiles.active}`);
+    }
     logger.info(`Station: ${stationConfig.name} (ID: ${stationId})`);
     logger.info(`Batch Size: ${batchSize}`);
+    logger.info(`Concurrency: ${concurrency}`);
     
     if (options.dryRun) {
       logger.warning('DRY RUN MODE - No artwork will be uploaded');
     }
     
+    // Unattended runs answer the prompts from a fixed policy
+    let unattendedPolicy = null;
+    if (answersUnattended) {
+      unattendedPolicy = new UnattendedPolicy(logger, {
+        batchSize,
+        onPageError: options.onPageError
+      });
+      if (options.nonInteractive) {
+        logger.info(`Non-interactive mode (on page error: ${options.onPageError})`);
+      } else {
+        logger.info(`Standard input is not a terminal; running the dry run without prompts (on page error: ${options.onPageError})`);
+      }
+    }
+    
+    // One run at a time per data directory; the lock is released on exit
+    acquireRunLock(logger);
+    
+    // The first Ctrl+C lets the episodes in progress finish; a second one exits at once
+    shutdown = new ShutdownController(logger);
+    shutdown.install();
+    
     // Initialize services
-    const apiClient = new ApiClient(logger);
-    const progressTracker = new ProgressTracker(logger);
-    const episodeDatabase = new EpisodeDatabase(logger);
-    const podcastService = new PodcastService(apiClient, progressTracker, episodeDatabase, logger);
+    const apiClient = new ApiClient(logger, { signal: shutdown.signal });
+    const stateStore = new StateStore(logger);
+    const artworkProcessor = options.normalize && config.artwork.normalize ? new ArtworkProcessor(logger) : null;
+    const placeholderDetector = new PlaceholderDetector(apiClient, logger);
+    const artworkBackup = new ArtworkBackup(apiClient, stateStore, logger, runId);
     
     // Test API connection
     logger.progress('Testing API connection...');
@@ -205,189 +1061,155 @@ async function main() {
     }
     logger.success('API connection successful');
     
-    // Initialize episode database
-    await episodeDatabase.initialize();
+    // Learn what the station's generic album art looks like
+    await placeholderDetector.initialize(stationId);
     
-    // Handle reset option
-    if (options.reset) {
-      await progressTracker.reset();
-      await episodeDatabase.clearAll();
-    }
+    // Load run state and episode records, and the episode catalog if one was synced
+    await stateStore.initialize();
+    const catalog = new EpisodeCatalog(apiClient, logger);
+    await catalog.initialize();
     
-    // Always try to load existing progress first
-    let resumeInfo = null;
-    const loaded = await progressTracker.load();
-    
-    if (loaded) {
-      resumeInfo = progressTracker.getResumeInfo();
-      if (resumeInfo) {
-        // Validate resume parameters match
-        if (resumeInfo.stationId !== stationId) {
-          logger.warning(`Station ID mismatch: saved=${resumeInfo.stationId}, current=${stationId}`);
-          logger.warning('Starting fresh with current station ID');
-          resumeInfo = null;
-        } else {
-          logger.info(`Resuming from page ${resumeInfo.currentPage}`);
-          logger.info(`Previous progress: ${resumeInfo.processedEpisodes}/${resumeInfo.totalEpisodes} episodes`);
-        }
-      } else {
-        logger.info('Previous processing was already complete');
+    // Handle rollback of an earlier run
+    if (options.rollback) {
+      logger.separator();
+      const rollbackResults = await artworkBackup.rollback(options.rollback, options.dryRun);
+      logger.separator();
+      logger.info(`Rollback of run ${options.rollback}: ${rollbackResults.restored} restored, ${rollbackResults.cleared} cleared, ${rollbackResults.failed} failed`);
+      if (rollbackResults.failed > 0) {
+        process.exit(1);
       }
+      return;
     }
     
-    // Initialize new progress only if no valid existing progress
-    if (!resumeInfo) {
-      await progressTracker.initialize(stationId, stationConfig.podcastId, batchSize);
-      logger.info('Initialized new progress tracking');
+    if (!options.backup && !options.dryRun) {
+      logger.warning('Backups disabled - existing episode art cannot be rolled back');
     }
     
-    // Determine starting parameters
-    const actualStartPage = resumeInfo ? resumeInfo.currentPage : startPage;
-    const podcastId = resumeInfo ? resumeInfo.podcastId : stationConfig.podcastId;
+    // Work out which podcasts this run covers
+    const podcasts = await resolvePodcasts(apiClient, stationId, stationConfig.podcastId, options);
+    if (podcasts.length > 1) {
+      logger.info(`Processing ${podcasts.length} podcasts: ${podcasts.map(podcast => podcast.title || podcast.id).join(', ')}`);
+    }
     
-    logger.separator();
+    // Keep a record of this run for the history command
+    await stateStore.startRun({
+      runId,
+      stationId,
+      podcasts,
+      profile: config.profiles.active,
+      options: {
+        dryRun: options.dryRun,
+        force: options.force,
+        batchSize,
+        concurrency,
+        resume: options.resume,
+        retryFailed: options.retryFailed,
+        searchTitle: options.searchTitle || null,
+        selection: selector.describe() || null,
+        nonInteractive: !!unattendedPolicy
+      }
+    });
+    currentRun = { stateStore, runId };
     
-    // Check if this is a search operation
-    if (options.searchTitle) {
-      logger.info(`Searching for episode with title containing: "${options.searchTitle}"`);
-      
-      // Search for episodes
-      const matchingEpisodes = await podcastService.searchEpisodesByTitle(
-        stationId,
-        podcastId,
-        options.searchTitle
-      );
-      
-      if (matchingEpisodes.length === 0) {
-        logger.warning(`No episodes found containing: "${options.searchTitle}"`);
-        process.exit(0);
+    const context = {
+      apiClient,
+      stateStore,
+      logger,
+      options,
+      stationId,
+      batchSize,
+      startPage,
+      unattendedPolicy,
+      shutdown,
+      selector,
+      serviceOptions: {
+        concurrency,
+        artworkProcessor,
+        placeholderDetector,
+        verify: options.verify,
+        artworkBackup: options.backup ? artworkBackup : null,
+        runId,
+        shutdown,
+        catalog
       }
-      
-      logger.success(`Found ${matchingEpisodes.length} matching episode(s)`);
-      
-      // Process each matching episode
-      let processedCount = 0;
-      let successCount = 0;
-      let failedCount = 0;
-      let skippedCount = 0;
-      
-      for (const episode of matchingEpisodes) {
-        // Ask for confirmation
-        const shouldProcess = await promptEpisodeConfirmation(episode);
-        
-        if (!shouldProcess) {
-          logger.info('Skipping episode');
-          skippedCount++;
-          continue;
-        }
-        
-        // Initialize minimal progress tracking for individual episode
-        if (!resumeInfo) {
-          await progressTracker.initialize(stationId, podcastId, 1);
-        }
-        
-        // Process the episode
-        logger.info(`Processing episode: "${episode.title}"`);
-        const status = await podcastService.processEpisode(
-          stationId,
-          podcastId,
-          episode,
-          options.dryRun,
-          options.force
-        );
-        
-        processedCount++;
-        if (status === 'success') {
-          successCount++;
-          logger.success(`Episode processed successfully`);
-        } else if (status === 'failed') {
-          failedCount++;
-          logger.error(`Episode processing failed`);
-        } else {
-          skippedCount++;
-          logger.info(`Episode was skipped`);
-        }
-        
-        // Save progress after processing
-        await progressTracker.save();
+    };
+    
+    // Each podcast keeps its own progress and episode records
+    const report = [];
+    for (const podcast of podcasts) {
+      if (podcasts.length > 1) {
+        logger.separator();
+        logger.info(`Podcast: ${podcast.title || podcast.id} (ID: ${podcast.id})`);
       }
       
-      // Show final results for search
-      logger.separator();
-      logger.success('Search and processing completed!');
-      logger.stats({
-        total: processedCount,
-        success: successCount,
-        failed: failedCount,
-        skipped: skippedCount
-      });
-      
-    } else {
-      // Regular batch processing mode
-      logger.info(`Starting processing from page ${actualStartPage}`);
-      
-      // Process all episodes
-      const results = await podcastService.processAllEpisodes(
-        stationId,
-        podcastId,
-        batchSize,
-        actualStartPage,
-        options.dryRun,
-        options.force,
-        (batchInfo) => promptBatchContinuation(batchInfo, batchSize)
-      );
-      
-      // Show final results
-      logger.separator();
-      logger.success('Processing completed!');
-      logger.stats({
-        total: results.processed,
-        success: results.success,
-        failed: results.failed,
-        skipped: results.skipped
-      });
+      const stats = await processPodcast(context, podcast.id);
+      report.push({ podcast, stats });
       
-      // Show failed episodes if any
-      const failedEpisodes = progressTracker.getFailedEpisodes();
-      if (failedEpisodes.length > 0) {
-        logger.warning(`${failedEpisodes.length} episodes failed to process`);
-        logger.info('Use --verbose flag to see detailed error information');
+      // A run stopped by a page error or a shutdown doesn't move on to the next podcast
+      if ((unattendedPolicy && unattendedPolicy.stoppedOnError) || shutdown.requested) {
+        break;
       }
     }
     
+    if (podcasts.length > 1) {
+      logger.podcastSummary(report);
+    }
+    
+    if (runReport) {
+      await runReport.write(stateStore, report.map(({ podcast }) => podcast.id), catalog);
+    }
+    
+    if (shutdown.requested) {
+      await stateStore.finishRun(runId, 'stopped');
+    } else if (unattendedPolicy && unattendedPolicy.stoppedOnError) {
+      await stateStore.finishRun(runId, 'failed', unattendedPolicy.stopReason);
+    } else {
+      await stateStore.finishRun(runId, 'completed');
+    }
+    
+    if (shutdown.requested) {
+      await stateStore.flush();
+      logger.info('Progress has been saved. Use --resume to continue later.');
+      process.exit(shutdown.exitCode);
+    }
+    
+    // Let cron and CI see that the run ended early
+    if (unattendedPolicy && unattendedPolicy.stoppedOnError) {
+      process.exit(1);
+    }
+    
   } catch (error) {
-    logger.error('Fatal error occurred', error);
+    // A request aborted by the shutdown is not a failure; finished episodes are already saved
+    if (shutdown && shutdown.isAbortError(error)) {
+      if (currentRun) {
+        await currentRun.stateStore.finishRun(currentRun.runId, 'stopped').catch(() => {});
+      }
+      logger.warning('Processing stopped for shutdown. Use --resume to continue later.');
+      process.exit(shutdown.exitCode);
+    }
+    if (currentRun) {
+      await currentRun.stateStore.finishRun(currentRun.runId, 'failed', error.message).catch(() => {});
+    }
+    logger.error(`Fatal error occurred: ${error.message}`, error);
     process.exit(1);
   }
 }
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  (activeLogger || createConsoleLogger(true)).error(`Uncaught Exception: ${error.message}`, error);
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  const error = reason instanceof Error ? reason : new Error(String(reason));
+  (activeLogger || createConsoleLogger(true)).error(`Unhandled Rejection: ${error.message}`, error);
   process.exit(1);
 });
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n⏹️  Received SIGINT. Gracefully shutting down...');
-  console.log('Progress has been saved. Use --resume to continue later.');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  console.log('\n⏹️  Received SIGTERM. Gracefully shutting down...');
-  console.log('Progress has been saved. Use --resume to continue later.');
-  process.exit(0);
-});
-
 // Run the program
 if (require.main === module) {
-  main();
+  program.parseAsync();
 }
 
 module.exports = { main };
@@ -0,0 +1,226 @@
+/**
+ * Backup of existing episode and podcast art before it is overwritten, and rollback of a run
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../utils/config');
+const { detectImageFormat } = require('../utils/imageFormat');
+
+class ArtworkBackup {
+  /**
+   * @param {ApiClient} apiClient - API client
+   * @param {StateStore} stateStore - State store holding backup records
+   * @param {Object} logger - Logger instance
+   * @param {string} runId - Current run ID; backups are stored under it
+   * @param {string} [backupDir=config.processing.backupDir] - Root backup directory
+   */
+  constructor(apiClient, stateStore, logger, runId, backupDir = config.processing.backupDir) {
+    this.api = apiClient;
+    this.state = stateStore;
+    this.logger = logger;
+    this.runId = runId;
+    this.backupDir = backupDir;
+  }
+
+  /**
+   * Directory holding one run's backups
+   * @param {string} runId - Run ID
+   * @returns {string} Directory path
+   */
+  getRunDir(runId) {
+    return path.join(this.backupDir, runId);
+  }
+
+  /**
+   * Save an episode's current custom art before it is replaced.
+   * Throws if the art exists but can't be downloaded, so nothing is overwritten without a backup.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} episode - Episode object
+   * @param {Object} [existingDownload] - Art already downloaded by the custom art check
+   * @param {Logger} [log] - Logger for this episode's output
+   * @returns {Promise<Object>} The backup record
+   */
+  async backupEpisode(stationId, podcastId, episode, existingDownload = null, log = this.logger) {
+    const download = existingDownload || await this.downloadCurrentArt(stationId, podcastId, episode);
+
+    const backup = await this.saveBackup({
+      runId: this.runId,
+      episodeId: episode.id,
+      stationId,
+      podcastId,
+      title: episode.title || null
+    }, download, String(episode.id), log);
+
+    if (!backup.file) {
+      log.verbose(`No existing custom art to back up for episode: ${episode.id}`);
+    }
+    return backup;
+  }
+
+  /**
+   * Save a podcast's current cover art before it is replaced.
+   * Throws if the art exists but can't be downloaded, so nothing is overwritten without a backup.
+   * @param {number} stationId - Station ID
+   * @param {Object} podcast - Podcast object from the API
+   * @param {Logger} [log] - Logger for this podcast's output
+   * @returns {Promise<Object>} The backup record
+   */
+  async backupPodcast(stationId, podcast, log = this.logger) {
+    let download = null;
+    if (podcast.has_custom_art) {
+      try {
+        download = await this.api.downloadPodcastArtwork(stationId, podcast.id);
+      } catch (error) {
+        if (!error.response || error.response.status !== 404) {
+          throw error;
+        }
+      }
+    }
+
+    const backup = await this.saveBackup({
+      runId: this.runId,
+      target: 'podcast',
+      episodeId: null,
+      stationId,
+      podcastId: podcast.id,
+      title: podcast.title || null
+    }, download, `podcast-${podcast.id}`, log);
+
+    if (!backup.file) {
+      log.verbose(`No existing cover art to back up for podcast: ${podcast.id}`);
+    }
+    return backup;
+  }
+
+  /**
+   * Write downloaded art to the run's backup directory and record the backup.
+   * Art that redirected to a fallback or isn't an image is recorded without a file,
+   * so a rollback removes the uploaded art instead of restoring anything.
+   * @param {Object} backup - Backup record without its file details
+   * @param {Object|null} download - Current art, or null if there is none
+   * @param {string} name - File name for the backup, without extension
+   * @param {Logger} log - Logger for the output
+   * @returns {Promise<Object>} The backup record
+   */
+  async saveBackup(backup, download, name, log) {
+    const formatInfo = download && !download.redirected ? detectImageFormat(download.buffer) : null;
+    const record = { ...backup, file: null, mimeType: null, bytes: 0 };
+
+    if (formatInfo) {
+      const runDir = this.getRunDir(this.runId);
+      await fs.mkdir(runDir, { recursive: true });
+
+      record.file = path.join(runDir, `${name}.${formatInfo.extension}`);
+      record.mimeType = formatInfo.mimeType;
+      record.bytes = download.buffer.length;
+      await fs.writeFile(record.file, download.buffer);
+      log.verbose(`Backed up existing art to ${record.file}`);
+    }
+
+    await this.state.addBackup(record);
+    return record;
+  }
+
+  /**
+   * Download an episode's current custom art, if it has any
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} episode - Episode object
+   * @returns {Promise<Object|null>} Artwork download, or null if the episode has no custom art
+   */
+  async downloadCurrentArt(stationId, podcastId, episode) {
+    if (!episode.has_custom_art) {
+      return null;
+    }
+
+    const artUrl = episode.art || `/station/${stationId}/podcast/${podcastId}/episode/${episode.id}/art`;
+    try {
+      return await this.api.downloadArtwork(artUrl);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Restore every episode and podcast cover changed in a run: re-upload saved originals,
+   * and remove the art again from those that had none.
+   * @param {string} runId - Run ID to roll back
+   * @param {boolean} [dryRun=false] - If true, only report what would be restored
+   * @returns {Promise<Object>} Counts of restored, cleared and failed episodes and podcasts
+   */
+  async rollback(runId, dryRun = false) {
+    const backups = this.state.getBackupsForRun(runId);
+    const results = { total: backups.length, restored: 0, cleared: 0, failed: 0 };
+
+    if (backups.length === 0) {
+      this.logger.warning(`No backups recorded for run ${runId}`);
+      return results;
+    }
+
+    this.logger.info(`Rolling back ${backups.length} backup(s) from run ${runId}`);
+
+    for (const backup of backups) {
+      const isPodcast = backup.target === 'podcast';
+      const label = isPodcast
+        ? `podcast cover of ${backup.title || backup.podcastId}`
+        : backup.title || backup.episodeId;
+
+      try {
+        if (backup.file) {
+          const buffer = await fs.readFile(backup.file);
+          if (dryRun) {
+            this.logger.info(`DRY RUN: Would restore ${buffer.length} bytes to "${label}"`);
+          } else {
+            const result = isPodcast
+              ? await this.api.uploadPodcastArtwork(
+                backup.stationId,
+                backup.podcastId,
+                buffer,
+                path.basename(backup.file),
+                backup.mimeType
+              )
+              : await this.api.uploadEpisodeArtwork(
+                backup.stationId,
+                backup.podcastId,
+                backup.episodeId,
+                buffer,
+                path.basename(backup.file),
+                backup.mimeType
+              );
+            if (!result.success) {
+              throw new Error(result.message || 'Upload failed');
+            }
+            this.logger.success(`Restored original art for "${label}"`);
+          }
+          results.restored++;
+        } else {
+          if (dryRun) {
+            this.logger.info(`DRY RUN: Would remove uploaded art from "${label}"`);
+          } else {
+            if (isPodcast) {
+              await this.api.deletePodcastArtwork(backup.stationId, backup.podcastId);
+            } else {
+              await this.api.deleteEpisodeArtwork(backup.stationId, backup.podcastId, backup.episodeId);
+            }
+            this.logger.success(`Removed uploaded art from "${label}" (it had no custom art)`);
+          }
+          results.cleared++;
+        }
+      } catch (error) {
+        results.failed++;
+        this.logger.error(`Failed to roll back "${label}": ${error.message}`, error);
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = ArtworkBackup;
@@ -0,0 +1,135 @@
+/**
+ * Artwork normalization to meet podcast directory specifications
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const sharp = require('sharp');
+const { config } = require('../utils/config');
+const { FORMATS } = require('../utils/imageFormat');
+
+class ArtworkProcessor {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options=config.artwork] - Normalization settings
+   */
+  constructor(logger, options = config.artwork) {
+    this.logger = logger;
+    this.options = options;
+
+    if (!['pad', 'crop'].includes(options.squareMode)) {
+      throw new Error(`Invalid square mode "${options.squareMode}". Use one of: pad, crop`);
+    }
+
+    if (options.targetSize < options.minSize || options.targetSize > options.maxSize) {
+      throw new Error(`Artwork target size ${options.targetSize} must be between ${options.minSize} and ${options.maxSize}`);
+    }
+  }
+
+  /**
+   * Normalize artwork into a square RGB JPEG within the configured size and byte limits
+   * @param {Buffer} buffer - Image data in any format sharp can decode
+   * @returns {Promise<Object>} { buffer, formatInfo, width, height, changes } where changes lists what was done
+   */
+  async normalize(buffer) {
+    const metadata = await sharp(buffer, { animated: false }).metadata();
+
+    // EXIF orientation swaps the displayed width and height
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    if (this.isCompliant(buffer, metadata, width, height)) {
+      return { buffer, formatInfo: FORMATS.jpeg, width, height, changes: [] };
+    }
+
+    const changes = [];
+    const isSquare = width === height;
+    let side = this.options.squareMode === 'pad' ? Math.max(width, height) : Math.min(width, height);
+
+    if (!isSquare) {
+      changes.push(`${this.options.squareMode === 'pad' ? 'padded' : 'cropped'} ${width}x${height} to square`);
+    }
+
+    if (side < this.options.minSize || side > this.options.maxSize) {
+      changes.push(`${side < this.options.minSize ? 'upscaled' : 'downscaled'} to ${this.options.targetSize}px`);
+      side = this.options.targetSize;
+    }
+
+    if (metadata.space !== 'srgb') {
+      changes.push(`converted ${metadata.space} to sRGB`);
+    }
+
+    if (metadata.exif || metadata.icc || metadata.xmp || metadata.iptc) {
+      changes.push('stripped metadata');
+    }
+
+    // Lower the quality first, then the dimensions (never below minSize), until the budget is met
+    let quality = this.options.quality;
+    for (;;) {
+      const output = await this.encode(buffer, side, quality);
+
+      if (output.length <= this.options.maxBytes) {
+        if (quality !== this.options.quality) {
+          changes.push(`re-encoded at quality ${quality}`);
+        }
+        return { buffer: output, formatInfo: FORMATS.jpeg, width: side, height: side, changes };
+      }
+
+      if (quality - 10 >= this.options.minQuality) {
+        quality -= 10;
+      } else if (side > this.options.minSize) {
+        side = Math.max(this.options.minSize, Math.floor(side * 0.85));
+        quality = this.options.quality;
+        changes.push(`reduced to ${side}px to fit size budget`);
+      } else {
+        throw new Error(`Artwork could not be encoded under ${this.options.maxBytes} bytes`);
+      }
+    }
+  }
+
+  /**
+   * Check whether artwork already meets every requirement and can be uploaded untouched
+   * @param {Buffer} buffer - Original image data
+   * @param {Object} metadata - sharp metadata
+   * @param {number} width - Displayed width
+   * @param {number} height - Displayed height
+   * @returns {boolean} True if no re-encoding is needed
+   */
+  isCompliant(buffer, metadata, width, height) {
+    return metadata.format === 'jpeg' &&
+      width === height &&
+      width >= this.options.minSize &&
+      width <= this.options.maxSize &&
+      metadata.space === 'srgb' &&
+      !metadata.exif &&
+      !metadata.icc &&
+      !metadata.xmp &&
+      !metadata.iptc &&
+      buffer.length <= this.options.maxBytes;
+  }
+
+  /**
+   * Encode artwork as a square sRGB JPEG. sharp drops EXIF, ICC, XMP and IPTC
+   * metadata on output unless asked to keep it.
+   * @param {Buffer} buffer - Original image data
+   * @param {number} side - Output width and height in pixels
+   * @param {number} quality - JPEG quality (1-100)
+   * @returns {Promise<Buffer>} Encoded JPEG
+   */
+  async encode(buffer, side, quality) {
+    return sharp(buffer, { animated: false })
+      .rotate()
+      .resize(side, side, {
+        fit: this.options.squareMode === 'pad' ? 'contain' : 'cover',
+        position: 'centre',
+        background: this.options.padColor
+      })
+      .flatten({ background: this.options.padColor })
+      .toColourspace('srgb')
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+  }
+}
+
+module.exports = ArtworkProcessor;
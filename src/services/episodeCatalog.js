@@ -0,0 +1,219 @@
+/**
+ * Local mirror of podcast episode metadata for offline search, selection and reports
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const { Low } = require('lowdb');
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../utils/config');
+const AtomicJSONFile = require('../utils/atomicJsonFile');
+
+const CATALOG_VERSION = 1;
+
+// Episode fields kept in the mirror; enough to search, select and process an episode
+const MIRRORED_FIELDS = ['id', 'title', 'publish_at', 'playlist_media_id', 'has_custom_art', 'art', 'links'];
+
+/**
+ * Copy the mirrored fields of an episode from the API
+ * @param {Object} episode - Episode object from the API
+ * @returns {Object} Mirrored episode
+ */
+function mirrorEpisode(episode) {
+  const mirrored = {};
+  for (const field of MIRRORED_FIELDS) {
+    mirrored[field] = episode[field] === undefined ? null : episode[field];
+  }
+  return mirrored;
+}
+
+class EpisodeCatalog {
+  /**
+   * @param {ApiClient} apiClient - API client; only needed to sync
+   * @param {Object} logger - Logger instance
+   * @param {string} [filePath=config.processing.catalogFile] - Catalog file
+   */
+  constructor(apiClient, logger, filePath = config.processing.catalogFile) {
+    this.api = apiClient;
+    this.logger = logger;
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  /**
+   * Load the catalog from disk
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.readOnly=false] - Never create or write the file (see StateStore.initialize)
+   * @returns {Promise<void>}
+   */
+  async initialize({ readOnly = false } = {}) {
+    if (!readOnly) {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+    this.db = new Low(new AtomicJSONFile(this.filePath, this.logger, { readOnly }), { version: CATALOG_VERSION, podcasts: {} });
+    await this.db.read();
+  }
+
+  /**
+   * Save the catalog to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.db) {
+      throw new Error('Episode catalog not initialized');
+    }
+    await this.db.write();
+  }
+
+  /**
+   * Check whether a podcast has been synced
+   * @param {string} podcastId - Podcast ID
+   * @returns {boolean} True if the podcast is in the catalog
+   */
+  hasPodcast(podcastId) {
+    return !!(this.db && this.db.data.podcasts[podcastId]);
+  }
+
+  /**
+   * List the podcasts in the catalog
+   * @returns {Array<string>} Podcast IDs
+   */
+  getPodcastIds() {
+    return this.db ? Object.keys(this.db.data.podcasts) : [];
+  }
+
+  /**
+   * Get a podcast's catalog section
+   * @param {string} podcastId - Podcast ID
+   * @returns {Object|null} { stationId, syncedAt, episodeIds, episodes } or null if never synced
+   */
+  getPodcast(podcastId) {
+    return this.hasPodcast(podcastId) ? this.db.data.podcasts[podcastId] : null;
+  }
+
+  /**
+   * Get a podcast's mirrored episodes in API order
+   * @param {string} podcastId - Podcast ID
+   * @returns {Array} Episodes (empty if the podcast was never synced)
+   */
+  getEpisodes(podcastId) {
+    const section = this.getPodcast(podcastId);
+    if (!section) {
+      return [];
+    }
+    return section.episodeIds.map(id => section.episodes[id]).filter(Boolean);
+  }
+
+  /**
+   * Get one mirrored episode
+   * @param {string} podcastId - Podcast ID
+   * @param {string} episodeId - Episode ID
+   * @returns {Object|null} Episode or null if not mirrored
+   */
+  getEpisode(podcastId, episodeId) {
+    const section = this.getPodcast(podcastId);
+    return (section && section.episodes[episodeId]) || null;
+  }
+
+  /**
+   * Mirror a podcast's episodes. Only new and changed episodes are written. A full sync
+   * pages through every episode and drops episodes that were deleted; a quick sync stops
+   * at the first page without new or changed episodes, which picks up newly published
+   * episodes cheaply (AzuraCast lists the newest first) but misses edits to older ones.
+   * A page that can't be fetched fails the sync and leaves the catalog as it was.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.quick=false] - Stop at the first page with nothing new or changed
+   * @returns {Promise<Object>} { added, changed, unchanged, removed, total }
+   */
+  async sync(stationId, podcastId, { quick = false } = {}) {
+    const existing = this.getPodcast(podcastId);
+    const previous = existing ? existing.episodes : {};
+    const pageSize = 100;
+
+    const seen = [];
+    const updates = {};
+    const counts = { added: 0, changed: 0, unchanged: 0, removed: 0, total: 0 };
+    let complete = false;
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await this.api.getEpisodes(stationId, podcastId, pageSize, page);
+      const rows = response.rows || [];
+      if (rows.length === 0) {
+        complete = true;
+        break;
+      }
+      totalPages = Math.ceil(response.total / pageSize);
+
+      let pageChanged = false;
+      for (const row of rows) {
+        const episode = mirrorEpisode(row);
+        const id = String(episode.id);
+        seen.push(id);
+
+        const old = previous[id];
+        if (!old) {
+          counts.added++;
+          pageChanged = true;
+          updates[id] = episode;
+        } else if (JSON.stringify(mirrorEpisode(old)) !== JSON.stringify(episode)) {
+          counts.changed++;
+          pageChanged = true;
+          updates[id] = episode;
+        } else {
+          counts.unchanged++;
+        }
+      }
+
+      this.logger.verbose(`Catalog page ${page}/${totalPages} of podcast ${podcastId}: ${rows.length} episode(s)`, { page });
+
+      if (quick && existing && !pageChanged) {
+        break;
+      }
+      page++;
+      complete = page > totalPages;
+    } while (!complete);
+
+    const now = new Date().toISOString();
+    const episodes = { ...previous };
+    for (const [id, episode] of Object.entries(updates)) {
+      episodes[id] = { ...episode, syncedAt: now };
+    }
+
+    const seenIds = new Set(seen);
+    let episodeIds;
+    if (complete) {
+      // Everything was listed, so anything not seen has been deleted
+      for (const id of Object.keys(episodes)) {
+        if (!seenIds.has(id)) {
+          delete episodes[id];
+          counts.removed++;
+        }
+      }
+      episodeIds = seen;
+    } else {
+      // Episodes seen on the pages fetched come first, then the rest in their earlier order
+      episodeIds = [...seen, ...existing.episodeIds.filter(id => !seenIds.has(id))];
+    }
+    counts.total = episodeIds.length;
+
+    this.db.data.podcasts[podcastId] = {
+      stationId,
+      syncedAt: now,
+      fullSyncAt: complete ? now : existing.fullSyncAt,
+      episodeIds,
+      episodes
+    };
+    await this.save();
+
+    return counts;
+  }
+}
+
+EpisodeCatalog.MIRRORED_FIELDS = MIRRORED_FIELDS;
+
+module.exports = EpisodeCatalog;
@@ -0,0 +1,218 @@
+/**
+ * Composable episode selection by title, publish date, ID, media, custom art and local status
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const fs = require('fs');
+
+// Local statuses that can be selected; 'unprocessed' means no result has been recorded
+const STATUSES = ['unprocessed', 'success', 'failed', 'skipped', 'no-source-art', 'verify-failed'];
+
+const CUSTOM_ART_STATES = ['yes', 'no'];
+
+/**
+ * Parse a --since/--until date. A year, year-month or date without a time covers the
+ * whole period (in UTC): its start for --since, its last millisecond for --until.
+ * @param {string} value - Date (YYYY, YYYY-MM, YYYY-MM-DD or any date Date.parse accepts)
+ * @param {boolean} endOfPeriod - Return the end of the period instead of its start
+ * @returns {number} Milliseconds since the epoch
+ */
+function parseDateBound(value, endOfPeriod) {
+  const period = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/.exec(value);
+  if (period) {
+    const [, year, month, day] = period.map(Number);
+    const start = Date.UTC(year, month ? month - 1 : 0, day || 1);
+    if (!endOfPeriod) {
+      return start;
+    }
+    const next = day
+      ? Date.UTC(year, month - 1, day + 1)
+      : month ? Date.UTC(year, month, 1) : Date.UTC(year + 1, 0, 1);
+    return next - 1;
+  }
+
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date "${value}". Use YYYY, YYYY-MM, YYYY-MM-DD or an ISO timestamp`);
+  }
+  return time;
+}
+
+/**
+ * Read an episode's publish time. AzuraCast gives publish_at in Unix seconds.
+ * @param {Object} episode - Episode object
+ * @returns {number|null} Milliseconds since the epoch, or null if unknown
+ */
+function publishTime(episode) {
+  const value = episode.publish_at;
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (!isNaN(Number(value))) {
+    const number = Number(value);
+    // Seconds, unless it is already too large to be a plausible seconds value
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+class EpisodeSelector {
+  /**
+   * Every criterion given must match. Criteria left out (or empty) match every episode.
+   * @param {Object} [criteria] - Selection criteria
+   * @param {string} [criteria.titleMatch] - Case-insensitive regular expression matched against the title
+   * @param {string} [criteria.since] - Published on or after this date
+   * @param {string} [criteria.until] - Published on or before this date
+   * @param {Array<string>} [criteria.episodeIds] - Episode IDs
+   * @param {Array<string>} [criteria.mediaIds] - Media IDs (playlist_media_id)
+   * @param {string} [criteria.customArt] - 'yes' or 'no' for episodes that do or don't report custom art
+   * @param {Array<string>} [criteria.statuses] - Local statuses (see STATUSES)
+   */
+  constructor({ titleMatch = null, since = null, until = null, episodeIds = [], mediaIds = [], customArt = null, statuses = [] } = {}) {
+    try {
+      this.titlePattern = titleMatch ? new RegExp(titleMatch, 'i') : null;
+    } catch (error) {
+      throw new Error(`Invalid title pattern "${titleMatch}": ${error.message}`);
+    }
+
+    this.since = since ? parseDateBound(since, false) : null;
+    this.until = until ? parseDateBound(until, true) : null;
+    if (this.since !== null && this.until !== null && this.since > this.until) {
+      throw new Error(`--since ${since} is after --until ${until}`);
+    }
+
+    if (customArt && !CUSTOM_ART_STATES.includes(customArt)) {
+      throw new Error(`Invalid custom art state "${customArt}". Use one of: ${CUSTOM_ART_STATES.join(', ')}`);
+    }
+
+    const unknown = statuses.filter(status => !STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown status "${unknown[0]}". Use one of: ${STATUSES.join(', ')}`);
+    }
+
+    this.criteria = { titleMatch, since, until, customArt };
+    this.episodeIds = episodeIds.length > 0 ? new Set(episodeIds.map(String)) : null;
+    this.mediaIds = mediaIds.length > 0 ? new Set(mediaIds.map(String)) : null;
+    this.customArt = customArt ? customArt === 'yes' : null;
+    this.statuses = statuses.length > 0 ? new Set(statuses) : null;
+  }
+
+  /**
+   * Read episode IDs from a file, one per line. Blank lines and lines starting with # are ignored.
+   * @param {string} filePath - File path
+   * @returns {Array<string>} Episode IDs
+   */
+  static readIdFile(filePath) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read episode IDs from ${filePath}: ${error.message}`);
+    }
+
+    return text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  /**
+   * Check whether any criterion was given
+   * @returns {boolean} True if the selector narrows the episodes
+   */
+  isActive() {
+    return !!(this.titlePattern || this.since !== null || this.until !== null || this.episodeIds ||
+      this.mediaIds || this.customArt !== null || this.statuses);
+  }
+
+  /**
+   * Check whether the selection can name episodes that already have a recorded result,
+   * which are then processed again rather than passed over
+   * @returns {boolean} True if episodes are picked by ID, media or a recorded status
+   */
+  selectsProcessed() {
+    if (this.episodeIds || this.mediaIds) {
+      return true;
+    }
+    return !!this.statuses && [...this.statuses].some(status => status !== 'unprocessed');
+  }
+
+  /**
+   * Check an episode against every criterion
+   * @param {Object} episode - Episode object from the API
+   * @param {PodcastState} podcastState - Episode records of the episode's podcast
+   * @returns {boolean} True if the episode is selected
+   */
+  matches(episode, podcastState) {
+    if (this.episodeIds && !this.episodeIds.has(String(episode.id))) {
+      return false;
+    }
+    if (this.mediaIds && !this.mediaIds.has(String(episode.playlist_media_id))) {
+      return false;
+    }
+    if (this.titlePattern && !this.titlePattern.test(episode.title || '')) {
+      return false;
+    }
+    if (this.customArt !== null && !!episode.has_custom_art !== this.customArt) {
+      return false;
+    }
+
+    if (this.since !== null || this.until !== null) {
+      const published = publishTime(episode);
+      if (published === null) {
+        return false;
+      }
+      if ((this.since !== null && published < this.since) || (this.until !== null && published > this.until)) {
+        return false;
+      }
+    }
+
+    if (this.statuses) {
+      const status = podcastState.getEpisodeStatus(episode.id) || 'unprocessed';
+      if (!this.statuses.has(status)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Describe the criteria for logs and run history
+   * @returns {string} Criteria, or an empty string if none were given
+   */
+  describe() {
+    const parts = [];
+    if (this.titlePattern) {
+      parts.push(`title matches /${this.criteria.titleMatch}/i`);
+    }
+    if (this.criteria.since) {
+      parts.push(`published since ${this.criteria.since}`);
+    }
+    if (this.criteria.until) {
+      parts.push(`published until ${this.criteria.until}`);
+    }
+    if (this.episodeIds) {
+      parts.push(`${this.episodeIds.size} episode ID(s)`);
+    }
+    if (this.mediaIds) {
+      parts.push(`media ${[...this.mediaIds].join(', ')}`);
+    }
+    if (this.customArt !== null) {
+      parts.push(this.customArt ? 'has custom art' : 'no custom art');
+    }
+    if (this.statuses) {
+      parts.push(`status ${[...this.statuses].join(' or ')}`);
+    }
+    return parts.join(', ');
+  }
+}
+
+EpisodeSelector.STATUSES = STATUSES;
+EpisodeSelector.publishTime = publishTime;
+EpisodeSelector.CUSTOM_ART_STATES = CUSTOM_ART_STATES;
+
+module.exports = EpisodeSelector;
@@ -6,13 +6,21 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const readline = require('readline');
+const ApiClient = require('../api/client');
+const { config: appConfig, loadProfiles, validateProfileName } = require('../utils/config');
 
 class InitializationService {
-  constructor(apiClient, logger) {
+  /**
+   * @param {ApiClient} apiClient - API client
+   * @param {Object} logger - Logger instance
+   * @param {string} [profileName] - Save the configuration as this named profile instead of writing .env
+   */
+  constructor(apiClient, logger, profileName = null) {
     this.apiClient = apiClient;
     this.logger = logger;
     this.envPath = path.join(process.cwd(), '.env');
+    this.profileName = profileName;
+    this.profilesPath = path.resolve(appConfig.profiles.file);
   }
 
   /**
@@ -22,21 +30,12 @@ class InitializationService {
    * @returns {Promise<string>} User input
    */
   async prompt(question, defaultValue = '') {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
-    return new Promise((resolve) => {
-      const displayQuestion = defaultValue 
-        ? `${question} (default: ${defaultValue}): `
-        : `${question}: `;
-      
-      rl.question(displayQuestion, (answer) => {
-        rl.close();
-        resolve(answer.trim() || defaultValue);
-      });
-    });
+    const displayQuestion = defaultValue 
+      ? `${question} (default: ${defaultValue}): `
+      : `${question}: `;
+    
+    const answer = await this.logger.ask(displayQuestion);
+    return answer || defaultValue;
   }
 
   /**
@@ -98,6 +97,25 @@ class InitializationService {
     await fs.writeFile(this.envPath, envContent, 'utf8');
   }
 
+  /**
+   * Add or replace a named profile in the profiles file, keeping the other profiles
+   * @param {string} name - Profile name
+   * @param {Object} config - Configuration object
+   */
+  async writeProfile(name, config) {
+    const profiles = loadProfiles(this.profilesPath);
+    profiles[name] = {
+      azuracastUrl: config.azuracastUrl,
+      apiKey: config.apiKey,
+      stationId: config.stationId,
+      podcastId: config.podcastId,
+      defaultBatchSize: config.defaultBatchSize || 50
+    };
+
+    // The file holds API keys; create it readable by the owner only
+    await fs.writeFile(this.profilesPath, JSON.stringify({ profiles }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  }
+
   /**
    * Run the initialization process
    */
@@ -107,16 +125,30 @@ class InitializationService {
     this.logger.separator();
 
     try {
-      // Check if .env already exists
-      try {
-        await fs.access(this.envPath);
-        const overwrite = await this.prompt('Configuration file (.env) already exists. Overwrite? (y/n)', 'n');
-        if (overwrite.toLowerCase() !== 'y' && overwrite.toLowerCase() !== 'yes') {
-          this.logger.info('Initialization cancelled.');
-          return;
+      if (this.profileName) {
+        validateProfileName(this.profileName);
+        this.logger.info(`Saving as profile "${this.profileName}" in ${this.profilesPath}`);
+
+        // Check if the profile already exists
+        if (loadProfiles(this.profilesPath)[this.profileName]) {
+          const overwrite = await this.prompt(`Profile "${this.profileName}" already exists. Overwrite? (y/n)`, 'n');
+          if (overwrite.toLowerCase() !== 'y' && overwrite.toLowerCase() !== 'yes') {
+            this.logger.info('Initialization cancelled.');
+            return;
+          }
+        }
+      } else {
+        // Check if .env already exists
+        try {
+          await fs.access(this.envPath);
+          const overwrite = await this.prompt('Configuration file (.env) already exists. Overwrite? (y/n)', 'n');
+          if (overwrite.toLowerCase() !== 'y' && overwrite.toLowerCase() !== 'yes') {
+            this.logger.info('Initialization cancelled.');
+            return;
+          }
+        } catch (error) {
+          // File doesn't exist, continue
         }
-      } catch (error) {
-        // File doesn't exist, continue
       }
 
       // Step 1: Get AzuraCast URL
@@ -151,12 +183,12 @@ class InitializationService {
       // Step 3: Test connection and get station
       this.logger.info('\n🔌 Step 3: Testing API Connection...');
       
-      // Temporarily set up API client with provided credentials
-      const originalBaseUrl = this.apiClient.config.api.baseUrl;
-      const originalApiKey = this.apiClient.config.api.key;
-      
-      this.apiClient.config.api.baseUrl = `${azuracastUrl}/api`;
-      this.apiClient.config.api.key = apiKey;
+      // Use an API client for the instance being set up
+      const originalApiClient = this.apiClient;
+      this.apiClient = new ApiClient(this.logger, {
+        baseUrl: `${azuracastUrl.replace(/\/$/, '')}/api`,
+        key: apiKey
+      });
 
       // Test connection
       const connectionTest = await this.apiClient.testConnection();
@@ -262,37 +294,44 @@ class InitializationService {
           defaultBatchSize: parseInt(defaultBatchSize) || 50
         };
 
-        await this.writeEnvFile(config);
+        if (this.profileName) {
+          await this.writeProfile(this.profileName, config);
+        } else {
+          await this.writeEnvFile(config);
+        }
 
         // Step 8: Show success and next steps
+        const profileFlag = this.profileName ? ` --profile ${this.profileName}` : '';
         this.logger.separator();
         this.logger.success('🎉 Configuration saved successfully!');
-        this.logger.info('\nConfiguration written to .env file');
+        if (this.profileName) {
+          this.logger.info(`\nProfile "${this.profileName}" written to ${this.profilesPath}`);
+        } else {
+          this.logger.info('\nConfiguration written to .env file');
+        }
         this.logger.info('\n📋 Next steps:');
-        this.logger.info('1. Review the generated .env file');
+        this.logger.info(`1. Review the generated ${this.profileName ? 'profiles' : '.env'} file`);
         this.logger.info('2. Run the tool to start processing episodes:');
         this.logger.info('');
         this.logger.info('   # Test with a small batch first:');
-        this.logger.info('   npm run start -- --batch-size 5 --dry-run');
+        this.logger.info(`   npm run start --${profileFlag} --batch-size 5 --dry-run`);
         this.logger.info('');
         this.logger.info('   # Start actual processing:');
-        this.logger.info('   npm run start');
+        this.logger.info(`   npm run start${profileFlag ? ' --' + profileFlag : ''}`);
         this.logger.info('');
         this.logger.info('   # Search for specific episode:');
-        this.logger.info('   npm run start -- --search-title "episode name"');
+        this.logger.info(`   npm run start --${profileFlag} --search-title "episode name"`);
         this.logger.info('');
         this.logger.info('📖 For more options, run: npm run start -- --help');
 
       } catch (error) {
-        // Restore original API client config
-        this.apiClient.config.api.baseUrl = originalBaseUrl;
-        this.apiClient.config.api.key = originalApiKey;
+        // Restore original API client
+        this.apiClient = originalApiClient;
         throw error;
       }
 
-      // Restore original API client config
-      this.apiClient.config.api.baseUrl = originalBaseUrl;
-      this.apiClient.config.api.key = originalApiKey;
+      // Restore original API client
+      this.apiClient = originalApiClient;
 
     } catch (error) {
       this.logger.error('Initialization failed:', error.message);
@@ -0,0 +1,71 @@
+/**
+ * Detection of AzuraCast's generic placeholder album art
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const { config } = require('../utils/config');
+const { hashImage } = require('../utils/imageFormat');
+
+// Media ID that never exists; AzuraCast answers it with the station's default art
+const PROBE_MEDIA_ID = 'placeholder-probe';
+
+class PlaceholderDetector {
+  /**
+   * @param {ApiClient} apiClient - API client
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options=config.artwork.placeholder] - Placeholder settings
+   */
+  constructor(apiClient, logger, options = config.artwork.placeholder) {
+    this.api = apiClient;
+    this.logger = logger;
+    this.urlPatterns = options.urlPatterns;
+    this.hashes = new Set(options.hashes.map(hash => hash.toLowerCase()));
+    this.probeStationDefault = options.probeStationDefault;
+  }
+
+  /**
+   * Learn the station's default art by requesting art for a media file that doesn't exist.
+   * Best effort: a failure only means detection relies on URLs and configured hashes.
+   * @param {number} stationId - Station ID
+   * @returns {Promise<void>}
+   */
+  async initialize(stationId) {
+    if (!this.probeStationDefault) {
+      return;
+    }
+
+    try {
+      const download = await this.api.downloadMediaArtwork(stationId, PROBE_MEDIA_ID);
+      if (download.buffer.length > 0) {
+        const hash = hashImage(download.buffer);
+        this.hashes.add(hash);
+        this.logger.verbose(`Station default art hash: ${hash}`);
+      }
+    } catch (error) {
+      this.logger.verbose(`Could not fetch station default art: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether downloaded artwork is a placeholder rather than real embedded art
+   * @param {Object} download - Result of ApiClient.downloadArtwork
+   * @returns {string|null} Why the artwork is a placeholder, or null if it looks real
+   */
+  detect(download) {
+    if (download.redirected) {
+      const pattern = this.urlPatterns.find(p => download.finalUrl.includes(p));
+      if (pattern) {
+        return `redirected to placeholder ${download.finalUrl}`;
+      }
+    }
+
+    if (this.hashes.has(hashImage(download.buffer))) {
+      return 'matches a known placeholder image';
+    }
+
+    return null;
+  }
+}
+
+module.exports = PlaceholderDetector;
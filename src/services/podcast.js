@@ -4,14 +4,51 @@
  * Licensed under GPL v2
  */
 
-const { getStationConfig } = require('../utils/config');
+const fs = require('fs').promises;
+const path = require('path');
+const { config, getStationConfig } = require('../utils/config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { detectImageFormat, isUploadableFormat, convertToUploadableFormat, getImageDimensions, hashImage } = require('../utils/imageFormat');
+
+// Result counter key for each episode status
+const STATUS_COUNTERS = {
+  success: 'success',
+  failed: 'failed',
+  skipped: 'skipped',
+  'no-source-art': 'noSourceArt',
+  'verify-failed': 'verifyFailed'
+};
+
+// processBatch worker result for an episode passed over because it already has a result
+const PASSED_OVER = 'passed-over';
 
 class PodcastService {
-  constructor(apiClient, progressTracker, episodeDatabase, logger) {
+  /**
+   * @param {ApiClient} apiClient - API client
+   * @param {PodcastState|null} podcastState - Run state and episode records for the podcast being processed (not needed by setPodcastArt)
+   * @param {Logger} logger - Logger
+   * @param {Object} [options] - Processing options
+   * @param {number} [options.concurrency] - Episodes processed in parallel within a batch
+   * @param {ArtworkProcessor} [options.artworkProcessor] - Normalizes artwork before upload; formats are only converted when omitted
+   * @param {PlaceholderDetector} [options.placeholderDetector] - Recognizes AzuraCast's generic album art
+   * @param {boolean} [options.verify=false] - Re-download each episode's art after upload and compare it
+   * @param {ArtworkBackup} [options.artworkBackup] - Saves each episode's current art before it is overwritten
+   * @param {string} [options.runId] - Run ID recorded with each episode result
+   * @param {ShutdownController} [options.shutdown] - Stops new episodes from starting once a shutdown is requested
+   * @param {EpisodeCatalog} [options.catalog] - Local episode mirror that search and selections read from
+   */
+  constructor(apiClient, podcastState, logger, options = {}) {
     this.api = apiClient;
-    this.progress = progressTracker;
-    this.episodeDb = episodeDatabase;
+    this.state = podcastState;
     this.logger = logger;
+    this.concurrency = options.concurrency || config.processing.maxConcurrent;
+    this.artworkProcessor = options.artworkProcessor || null;
+    this.placeholderDetector = options.placeholderDetector || null;
+    this.verify = options.verify || false;
+    this.artworkBackup = options.artworkBackup || null;
+    this.runId = options.runId || null;
+    this.shutdown = options.shutdown || null;
+    this.catalog = options.catalog || null;
   }
 
   /**
@@ -21,75 +58,367 @@ class PodcastService {
    * @param {Object} episode - Episode object
    * @param {boolean} dryRun - If true, don't actually upload artwork
    * @param {boolean} force - If true, process even if episode has custom art
-   * @returns {Promise<string>} Processing status ('success', 'failed', 'skipped')
+   * @param {Logger} [log] - Logger for this episode's output (defaults to the service logger)
+   * @returns {Promise<string|null>} Processing status ('success', 'failed', 'skipped', 'no-source-art', 'verify-failed'),
+   *   or null if a shutdown aborted it; nothing is recorded then, so it is processed again on resume
    */
-  async processEpisode(stationId, podcastId, episode, dryRun = false, force = false) {
+  async processEpisode(stationId, podcastId, episode, dryRun = false, force = false, log = this.logger) {
     const episodeId = episode.id;
     const mediaUniqueId = episode.playlist_media_id;
+    const title = episode.title || episode.id;
+
+    // Art downloaded by the custom art check, reused for the backup
+    let existingArt = null;
+
+    // Size of the artwork prepared for upload, once known
+    let artworkBytes = null;
+    const startedAt = Date.now();
+    const record = (status, error = null, httpStatus = null, reason = null) => this.state.recordEpisode(
+      episodeId, mediaUniqueId, status, error, episode.title,
+      { runId: this.runId, artworkBytes, httpStatus, durationMs: Date.now() - startedAt, reason, dryRun }
+    );
 
     try {
+      // Without --force, leave episodes alone whose custom art really exists
+      if (!force && episode.has_custom_art) {
+        existingArt = await this.checkExistingArt(stationId, podcastId, episode, log);
+        if (existingArt.valid) {
+          const reason = 'already has custom art';
+          log.episodeStart(title, 'skipped', reason);
+          await record('skipped', null, null, reason);
+          return 'skipped';
+        }
+        log.verbose(`Custom art for ${episodeId} needs repair: ${existingArt.reason}`);
+      }
+
       // Skip if no media unique ID
       if (!mediaUniqueId) {
         const error = 'No playlist_media_id found';
-        console.log(` (failed; ${error})`);
-        this.progress.recordEpisode(episodeId, mediaUniqueId, 'failed', error);
-        await this.episodeDb.addEpisode(episodeId, mediaUniqueId, 'failed', error, episode.title);
+        log.episodeStart(title, 'failed', error);
+        await record('failed', error);
         return 'failed';
       }
 
-      // Always process episodes - ignore has_custom_art flag since artwork files are missing
-      console.log(' (processing; extracting artwork from media file)');
+      log.episodeStart(title, 'processing', 'extracting artwork from media file');
 
       // Download artwork from media file
-      this.logger.verbose(`Downloading artwork for media ID: ${mediaUniqueId}`);
-      const artworkBuffer = await this.api.downloadMediaArtwork(stationId, mediaUniqueId);
+      log.verbose(`Downloading artwork for media ID: ${mediaUniqueId}`);
+      const download = await this.api.downloadMediaArtwork(stationId, mediaUniqueId);
+      const artworkBuffer = download.buffer;
 
       if (!artworkBuffer || artworkBuffer.length === 0) {
         const error = 'No artwork data received';
-        this.logger.episodeResult(episode, 'failed', error);
-        this.progress.recordEpisode(episodeId, mediaUniqueId, 'failed', error);
-        await this.episodeDb.addEpisode(episodeId, mediaUniqueId, 'failed', error, episode.title);
+        log.episodeResult(episode, 'failed', error);
+        await record('failed', error);
         return 'failed';
       }
 
-      this.logger.verbose(`Downloaded ${artworkBuffer.length} bytes of artwork`);
+      log.verbose(`Downloaded ${artworkBuffer.length} bytes of artwork`);
+
+      // The media file has no embedded art if AzuraCast served its generic placeholder
+      const placeholderReason = this.placeholderDetector && this.placeholderDetector.detect(download);
+      if (placeholderReason) {
+        log.episodeResult(episode, 'no-source-art', placeholderReason);
+        await record('no-source-art', placeholderReason);
+        return 'no-source-art';
+      }
+
+      // Work out the real image format and convert anything that can't be uploaded as-is
+      const artwork = await this.prepareArtwork(artworkBuffer, log);
+      if (!artwork) {
+        const error = 'Downloaded artwork is not a recognized image format';
+        log.episodeResult(episode, 'failed', error);
+        await record('failed', error);
+        return 'failed';
+      }
+      artworkBytes = artwork.buffer.length;
 
       // Upload artwork to episode (unless dry run)
       if (!dryRun) {
-        this.logger.verbose(`Uploading artwork to episode: ${episodeId}`);
+        if (this.artworkBackup) {
+          await this.artworkBackup.backupEpisode(stationId, podcastId, episode, existingArt && existingArt.download, log);
+        }
+
+        log.verbose(`Uploading artwork to episode: ${episodeId}`);
         const uploadResult = await this.api.uploadEpisodeArtwork(
           stationId, 
           podcastId, 
           episodeId, 
-          artworkBuffer,
-          `${mediaUniqueId}.jpg`
+          artwork.buffer,
+          `${mediaUniqueId}.${artwork.formatInfo.extension}`,
+          artwork.formatInfo.mimeType
         );
 
         if (!uploadResult.success) {
           const error = uploadResult.message || 'Upload failed';
-          this.logger.episodeResult(episode, 'failed', error);
-          this.progress.recordEpisode(episodeId, mediaUniqueId, 'failed', error);
-          await this.episodeDb.addEpisode(episodeId, mediaUniqueId, 'failed', error, episode.title);
+          log.episodeResult(episode, 'failed', error);
+          await record('failed', error);
           return 'failed';
         }
+
+        // Optionally confirm AzuraCast is now serving what we uploaded
+        if (this.verify) {
+          const verifyError = await this.verifyUpload(stationId, podcastId, episodeId, artwork, log);
+          if (verifyError) {
+            log.episodeResult(episode, 'verify-failed', verifyError);
+            await record('verify-failed', verifyError);
+            return 'verify-failed';
+          }
+          log.verbose(`Verified artwork for episode: ${episodeId}`);
+        }
       } else {
-        this.logger.verbose(`DRY RUN: Would upload ${artworkBuffer.length} bytes to episode`);
+        log.verbose(`DRY RUN: Would upload ${artwork.buffer.length} bytes (${artwork.formatInfo.mimeType}) to episode`);
       }
 
-      this.logger.episodeResult(episode, 'success');
-      this.progress.recordEpisode(episodeId, mediaUniqueId, 'success');
-      await this.episodeDb.addEpisode(episodeId, mediaUniqueId, 'success', null, episode.title);
+      log.episodeResult(episode, 'success');
+      await record('success');
       return 'success';
 
     } catch (error) {
+      if (this.shutdown && this.shutdown.isAbortError(error)) {
+        log.warning(`${title}: interrupted by shutdown; it will be processed again on resume`, { status: 'interrupted' });
+        return null;
+      }
+
       const errorMessage = error.message || 'Unknown error';
-      this.logger.episodeResult(episode, 'failed', errorMessage);
-      this.progress.recordEpisode(episodeId, mediaUniqueId, 'failed', errorMessage);
-      await this.episodeDb.addEpisode(episodeId, mediaUniqueId, 'failed', errorMessage, episode.title);
+      log.episodeResult(episode, 'failed', errorMessage);
+      await record('failed', errorMessage, error.response ? error.response.status : null);
       return 'failed';
     }
   }
 
+  /**
+   * Check whether an episode's current art actually resolves to a real image.
+   * AzuraCast can report has_custom_art while the art file itself is missing.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} episode - Episode object
+   * @param {Logger} [log] - Logger for this episode's output
+   * @returns {Promise<Object>} { valid, reason, download } where reason explains an invalid result
+   */
+  async checkExistingArt(stationId, podcastId, episode, log = this.logger) {
+    const artUrl = episode.art || `/station/${stationId}/podcast/${podcastId}/episode/${episode.id}/art`;
+    log.verbose(`Checking existing art: ${artUrl}`);
+
+    let download;
+    try {
+      download = await this.api.downloadArtwork(artUrl);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { valid: false, reason: 'art file is missing (404)', download: null };
+      }
+      throw error;
+    }
+
+    // A missing art file makes AzuraCast fall back to the podcast's or station's art
+    if (download.redirected) {
+      return { valid: false, reason: `art redirects to fallback ${download.finalUrl}`, download };
+    }
+
+    if (!detectImageFormat(download.buffer)) {
+      return { valid: false, reason: 'art URL does not return an image', download };
+    }
+
+    const placeholderReason = this.placeholderDetector && this.placeholderDetector.detect(download);
+    if (placeholderReason) {
+      return { valid: false, reason: `art is a placeholder (${placeholderReason})`, download };
+    }
+
+    return { valid: true, reason: null, download };
+  }
+
+  /**
+   * Re-fetch an episode after upload and check that its art matches what was uploaded
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {string} episodeId - Episode ID
+   * @param {Object} artwork - Uploaded artwork ({ buffer })
+   * @param {Logger} [log] - Logger for this episode's output
+   * @returns {Promise<string|null>} Mismatch description, or null if verified
+   */
+  async verifyUpload(stationId, podcastId, episodeId, artwork, log = this.logger) {
+    const episode = await this.api.getEpisode(stationId, podcastId, episodeId);
+    const artUrl = episode.art || `/station/${stationId}/podcast/${podcastId}/episode/${episodeId}/art`;
+    return this.compareServedArt(artUrl, artwork, log);
+  }
+
+  /**
+   * Download the art now served at a URL and check that it matches what was uploaded.
+   * AzuraCast may re-encode uploads, so matching dimensions are accepted when the bytes differ.
+   * @param {string} artUrl - Art URL or API endpoint
+   * @param {Object} artwork - Uploaded artwork ({ buffer })
+   * @param {Logger} [log] - Logger for the output
+   * @returns {Promise<string|null>} Mismatch description, or null if verified
+   */
+  async compareServedArt(artUrl, artwork, log = this.logger) {
+    log.verbose(`Verifying uploaded art: ${artUrl}`);
+
+    let download;
+    try {
+      download = await this.api.downloadArtwork(artUrl);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return 'uploaded art not found (404)';
+      }
+      throw error;
+    }
+
+    if (download.redirected) {
+      return `art redirects to fallback ${download.finalUrl}`;
+    }
+
+    if (!detectImageFormat(download.buffer)) {
+      return 'art URL does not return an image';
+    }
+
+    if (hashImage(download.buffer) === hashImage(artwork.buffer)) {
+      return null;
+    }
+
+    const uploaded = await getImageDimensions(artwork.buffer);
+    const served = await getImageDimensions(download.buffer);
+    if (uploaded.width !== served.width || uploaded.height !== served.height) {
+      return `served art is ${served.width}x${served.height}, uploaded ${uploaded.width}x${uploaded.height}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect the artwork's image format, then normalize it or convert it to JPEG or PNG if needed
+   * @param {Buffer} buffer - Downloaded artwork
+   * @param {Logger} [log] - Logger for this episode's output
+   * @returns {Promise<Object|null>} { buffer, formatInfo } ready for upload, or null if not an image
+   */
+  async prepareArtwork(buffer, log = this.logger) {
+    const formatInfo = detectImageFormat(buffer);
+    if (!formatInfo) {
+      return null;
+    }
+
+    if (this.artworkProcessor) {
+      const normalized = await this.artworkProcessor.normalize(buffer);
+      if (normalized.changes.length > 0) {
+        log.verbose(`Normalized artwork: ${normalized.changes.join(', ')} (${normalized.width}x${normalized.height}, ${normalized.buffer.length} bytes)`);
+      } else {
+        log.verbose('Artwork already meets directory requirements');
+      }
+      return normalized;
+    }
+
+    if (isUploadableFormat(formatInfo)) {
+      log.verbose(`Artwork format: ${formatInfo.mimeType}`);
+      return { buffer, formatInfo };
+    }
+
+    const converted = await convertToUploadableFormat(buffer);
+    log.verbose(`Converted ${formatInfo.mimeType} artwork to ${converted.formatInfo.mimeType} (${converted.buffer.length} bytes)`);
+    return converted;
+  }
+
+  /**
+   * Replace a podcast's cover art with a local image, or with the art of one of its
+   * episodes or of a media file. The image is prepared like episode art, and the current
+   * cover is backed up first unless backups are off. Episode records are not touched.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} source - Where the new cover comes from; exactly one of:
+   * @param {string} [source.file] - Local image file
+   * @param {string} [source.episodeId] - Episode whose current custom art is used
+   * @param {string} [source.mediaId] - Media file (playlist_media_id) whose embedded art is used
+   * @param {boolean} [dryRun=false] - If true, prepare the art without backing up or uploading
+   * @returns {Promise<Object>} { bytes, mimeType, verified } where verified is null unless verification ran
+   * @throws {Error} If the source has no usable art, or the upload or verification fails
+   */
+  async setPodcastArt(stationId, podcastId, source, dryRun = false) {
+    const log = this.logger.child({ podcastId });
+    const { buffer, name } = await this.loadPodcastArtSource(stationId, podcastId, source, log);
+    log.verbose(`Loaded ${buffer.length} bytes of source art`);
+
+    const artwork = await this.prepareArtwork(buffer, log);
+    if (!artwork) {
+      throw new Error('Source art is not a recognized image format');
+    }
+    const result = { bytes: artwork.buffer.length, mimeType: artwork.formatInfo.mimeType, verified: null };
+
+    if (dryRun) {
+      log.info(`DRY RUN: Would upload ${artwork.buffer.length} bytes (${artwork.formatInfo.mimeType}) as the cover of podcast ${podcastId}`);
+      return result;
+    }
+
+    if (this.artworkBackup) {
+      const podcast = await this.api.getPodcast(stationId, podcastId);
+      await this.artworkBackup.backupPodcast(stationId, podcast, log);
+    }
+
+    log.verbose(`Uploading cover art to podcast: ${podcastId}`);
+    const uploadResult = await this.api.uploadPodcastArtwork(
+      stationId,
+      podcastId,
+      artwork.buffer,
+      `${name}.${artwork.formatInfo.extension}`,
+      artwork.formatInfo.mimeType
+    );
+    if (!uploadResult.success) {
+      throw new Error(uploadResult.message || 'Upload failed');
+    }
+
+    if (this.verify) {
+      const podcast = await this.api.getPodcast(stationId, podcastId);
+      const verifyError = await this.compareServedArt(podcast.art || `/station/${stationId}/podcast/${podcastId}/art`, artwork, log);
+      if (verifyError) {
+        throw new Error(`Uploaded cover failed verification: ${verifyError}`);
+      }
+      result.verified = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the image a new podcast cover is made from
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} source - { file }, { episodeId } or { mediaId } (see setPodcastArt)
+   * @param {Logger} [log] - Logger for the output
+   * @returns {Promise<Object>} { buffer, name } where name is used for the uploaded file
+   * @throws {Error} If the source has no usable art
+   */
+  async loadPodcastArtSource(stationId, podcastId, source, log = this.logger) {
+    if (source.file) {
+      log.verbose(`Reading cover art from ${source.file}`);
+      try {
+        return { buffer: await fs.readFile(source.file), name: path.parse(source.file).name };
+      } catch (error) {
+        throw new Error(`Could not read ${source.file}: ${error.message}`);
+      }
+    }
+
+    if (source.episodeId) {
+      const episode = await this.api.getEpisode(stationId, podcastId, source.episodeId);
+      const existingArt = await this.checkExistingArt(stationId, podcastId, episode, log);
+      if (!existingArt.valid) {
+        throw new Error(`Episode ${source.episodeId} has no usable art: ${existingArt.reason}`);
+      }
+      return { buffer: existingArt.download.buffer, name: String(episode.id) };
+    }
+
+    if (source.mediaId) {
+      log.verbose(`Downloading artwork for media ID: ${source.mediaId}`);
+      const download = await this.api.downloadMediaArtwork(stationId, source.mediaId);
+      if (!download.buffer || download.buffer.length === 0) {
+        throw new Error(`No artwork data received for media ${source.mediaId}`);
+      }
+      const placeholderReason = this.placeholderDetector && this.placeholderDetector.detect(download);
+      if (placeholderReason) {
+        throw new Error(`Media ${source.mediaId} has no embedded art: ${placeholderReason}`);
+      }
+      return { buffer: download.buffer, name: String(source.mediaId) };
+    }
+
+    throw new Error('No cover art source given');
+  }
+
   /**
    * Process a batch of episodes
    * @param {number} stationId - Station ID
@@ -97,44 +426,249 @@ class PodcastService {
    * @param {Array} episodes - Array of episode objects
    * @param {boolean} dryRun - If true, don't actually upload artwork
    * @param {boolean} force - If true, process even if episode has custom art
-   * @returns {Promise<Object>} Batch processing results
+   * @param {boolean} [reprocess=false] - If true, process episodes even if they already have a recorded result
+   * @param {number} [page] - Batch number, added to each episode's log events
+   * @returns {Promise<Object>} Batch processing results; interrupted counts episodes left unprocessed by a shutdown,
+   *   and passedOver those passed over because an earlier run already recorded a result (they count toward no total)
    */
-  async processBatch(stationId, podcastId, episodes, dryRun = false, force = false) {
+  async processBatch(stationId, podcastId, episodes, dryRun = false, force = false, reprocess = false, page = null) {
     const results = {
       total: episodes.length,
       success: 0,
       failed: 0,
       skipped: 0,
+      noSourceArt: 0,
+      verifyFailed: 0,
+      passedOver: 0,
+      interrupted: 0,
       processed: []
     };
 
-    for (const episode of episodes) {
-      const title = episode.title || episode.id;
-      
-      // Always show the episode title first (without newline)
-      const chalk = require('chalk');
-      process.stdout.write(chalk.cyan('🔄 Processing: ' + title));
+    // Episodes run on a bounded worker pool. Each worker buffers its output so an
+    // episode's lines print together, and results are tallied as they finish.
+    const concurrent = this.concurrency > 1 && episodes.length > 1;
 
-      // Skip if already processed
-      if (this.progress.isEpisodeProcessed(episode.id)) {
-        const status = this.progress.getEpisodeStatus(episode.id);
-        console.log(` (skipped; already processed)`);
-        results[status]++;
-        results.processed.push({ episode: episode.id, status });
-        continue;
+    const statuses = await mapWithConcurrency(episodes, this.concurrency, async (episode) => {
+      // Once a shutdown is requested no new episodes are started
+      if (this.shutdown && this.shutdown.requested) {
+        return null;
       }
 
-      const status = await this.processEpisode(stationId, podcastId, episode, dryRun, force);
-      results[status]++;
-      results.processed.push({ episode: episode.id, status });
+      const log = (concurrent ? this.logger.buffer() : this.logger).child({ episodeId: episode.id, page });
 
-      // Save progress after each episode
-      await this.progress.save();
-    }
+      try {
+        // Skip if already processed; --force revisits episodes skipped for having custom art
+        // Dry-run results are never passed over, so a real run still processes those episodes
+        const previousStatus = this.state.getEpisodeStatus(episode.id);
+        if (previousStatus && !reprocess && !(force && previousStatus === 'skipped')) {
+          log.episodeStart(episode.title || episode.id, 'skipped', 'already processed');
+          results.passedOver++;
+          return PASSED_OVER;
+        }
+
+        // Each result is saved as it is recorded; saves are serialized by the store
+        const status = await this.processEpisode(stationId, podcastId, episode, dryRun, force, log);
+        if (status) {
+          results[STATUS_COUNTERS[status]]++;
+        }
+        return status;
+      } finally {
+        log.flush();
+      }
+    });
+
+    episodes.forEach((episode, index) => {
+      if (statuses[index] === PASSED_OVER) {
+        return;
+      }
+      if (statuses[index]) {
+        results.processed.push({ episode: episode.id, status: statuses[index] });
+      } else {
+        results.interrupted++;
+      }
+    });
+    results.total = results.processed.length;
 
     return results;
   }
 
+  /**
+   * Reprocess episodes whose last recorded result was a failure
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} filters - Filters passed to PodcastState.findFailedEpisodes
+   * @param {boolean} dryRun - If true, don't actually upload artwork
+   * @param {boolean} force - If true, process even if episode has custom art
+   * @returns {Promise<Object>} Batch processing results plus the number of episodes that no longer exist
+   */
+  async retryFailedEpisodes(stationId, podcastId, filters = {}, dryRun = false, force = false) {
+    const failedRecords = this.state.findFailedEpisodes(filters);
+    this.logger.info(`Found ${failedRecords.length} failed episode(s) to retry`);
+
+    // Fetch the current state of each episode; the stored record only has IDs
+    const { episodes, missing } = await this.fetchEpisodes(stationId, podcastId, failedRecords, 'not retrying');
+    const results = await this.processBatch(stationId, podcastId, episodes, dryRun, force, true);
+    return { ...results, missing };
+  }
+
+  /**
+   * Fetch the current state of episodes known only from stored records or the catalog,
+   * leaving out episodes that no longer exist
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Array<Object>} refs - Episodes to fetch ({ episodeId, title })
+   * @param {string} [missingAction='skipping'] - What happens to a missing episode, for the warning
+   * @returns {Promise<Object>} Fetched episodes, in the order given, and the number missing
+   */
+  async fetchEpisodes(stationId, podcastId, refs, missingAction = 'skipping') {
+    let missing = 0;
+    const fetched = await mapWithConcurrency(refs, this.concurrency, async (ref) => {
+      try {
+        return await this.api.getEpisode(stationId, podcastId, ref.episodeId);
+      } catch (error) {
+        if (error.response && error.response.status === 404) {
+          missing++;
+          this.logger.warning(`Episode ${ref.title || ref.episodeId} no longer exists; ${missingAction}`);
+          return null;
+        }
+        throw error;
+      }
+    });
+
+    return { episodes: fetched.filter(Boolean), missing };
+  }
+
+  /**
+   * Fetch the current state of episodes picked from the catalog before processing them.
+   * Catalog records can be stale (art changed since the sync), so they are only used to
+   * choose episodes; episodes listed from the API are returned as they are.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Array<Object>} episodes - Episodes returned by listSelectableEpisodes
+   * @returns {Promise<Array>} Current episodes
+   */
+  async refreshSelectedEpisodes(stationId, podcastId, episodes) {
+    if (!this.usesCatalog(podcastId) || episodes.length === 0) {
+      return episodes;
+    }
+
+    const refs = episodes.map(episode => ({ episodeId: episode.id, title: episode.title }));
+    const { episodes: current } = await this.fetchEpisodes(stationId, podcastId, refs);
+    return current;
+  }
+
+  /**
+   * Process only the episodes a selector picks, in batches. A selection doesn't use or move
+   * the run's snapshot position, so a batch run waiting to be resumed is left as it was.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {EpisodeSelector} selector - Episodes to process
+   * @param {number} batchSize - Episodes per batch
+   * @param {boolean} dryRun - If true, don't actually upload artwork
+   * @param {boolean} force - If true, process even if episode has custom art
+   * @param {Function} onBatchComplete - Callback after each batch
+   * @returns {Promise<Object>} Processing results
+   */
+  async processSelection(stationId, podcastId, selector, batchSize, dryRun = false, force = false, onBatchComplete = null) {
+    const totals = {
+      processed: 0,
+      success: 0,
+      failed: 0,
+      skipped: 0,
+      noSourceArt: 0,
+      verifyFailed: 0,
+      passedOver: 0
+    };
+
+    const episodes = await this.listSelectableEpisodes(stationId, podcastId);
+    this.state.updateTotal(episodes.length);
+
+    const selected = episodes.filter(episode => selector.matches(episode, this.state));
+    this.logger.info(`Selected ${selected.length} of ${episodes.length} episode(s): ${selector.describe()}`);
+
+    // Episodes picked by ID or by a recorded status are processed again
+    const reprocess = selector.selectsProcessed();
+
+    // Handle response - could be boolean (old format) or object (new format)
+    const handleResponse = (response, stopMessage) => {
+      const shouldContinue = typeof response === 'boolean' ? response : !!(response && response.continue);
+      if (!shouldContinue) {
+        this.logger.info(stopMessage);
+        return false;
+      }
+      if (response && response.newBatchSize && response.newBatchSize !== batchSize) {
+        batchSize = response.newBatchSize;
+        this.logger.info(`Batch size changed to ${batchSize} episodes`);
+      }
+      return true;
+    };
+
+    let position = 0;
+    let page = 0;
+    while (position < selected.length) {
+      if (this.shutdown && this.shutdown.requested) {
+        this.logger.info('Processing stopped for shutdown');
+        break;
+      }
+
+      const totalPages = page + Math.ceil((selected.length - position) / batchSize);
+      page++;
+
+      // Ask for permission before the first batch
+      if (onBatchComplete && page === 1) {
+        const response = await onBatchComplete({
+          page,
+          totalPages,
+          episodesToProcess: Math.min(batchSize, selected.length),
+          totalResults: { ...totals },
+          preProcess: true,
+          isFirstBatch: true
+        });
+        if (!handleResponse(response, 'Processing stopped by user')) {
+          break;
+        }
+      }
+
+      const batch = selected.slice(position, position + batchSize);
+      this.logger.batchStart(page, totalPages, batch.length);
+
+      const current = await this.refreshSelectedEpisodes(stationId, podcastId, batch);
+      const batchResults = await this.processBatch(stationId, podcastId, current, dryRun, force, reprocess, page);
+      totals.processed += batchResults.total;
+      totals.success += batchResults.success;
+      totals.failed += batchResults.failed;
+      totals.skipped += batchResults.skipped;
+      totals.noSourceArt += batchResults.noSourceArt;
+      totals.verifyFailed += batchResults.verifyFailed;
+      totals.passedOver += batchResults.passedOver;
+
+      if (batchResults.interrupted > 0) {
+        this.logger.info(`Batch ${page} stopped for shutdown with ${batchResults.interrupted} episode(s) not processed`, { page });
+        break;
+      }
+      position += batch.length;
+
+      const { processed, ...batchCounts } = batchResults;
+      this.logger.info(`Batch ${page} complete: ${batchResults.success} success, ${batchResults.failed} failed, ${batchResults.skipped} skipped, ${batchResults.noSourceArt} without source art${this.verify ? `, ${batchResults.verifyFailed} failed verification` : ''}${batchResults.passedOver ? `, ${batchResults.passedOver} already processed` : ''}`,
+        { page, results: batchCounts });
+
+      if (onBatchComplete && position < selected.length && !(this.shutdown && this.shutdown.requested)) {
+        const response = await onBatchComplete({
+          page,
+          totalPages,
+          batchResults,
+          totalResults: { ...totals }
+        });
+        if (!handleResponse(response, 'Processing stopped by user')) {
+          break;
+        }
+      }
+    }
+
+    await this.state.save();
+    return totals;
+  }
+
   /**
    * Get episodes for a specific page
    * @param {number} stationId - Station ID
@@ -144,10 +678,10 @@ class PodcastService {
    * @returns {Promise<Object>} Episodes response with pagination info
    */
   async getEpisodesPage(stationId, podcastId, page, batchSize) {
-    this.logger.verbose(`Fetching page ${page} with ${batchSize} episodes`);
+    this.logger.verbose(`Fetching page ${page} with ${batchSize} episodes`, { page });
     const response = await this.api.getEpisodes(stationId, podcastId, batchSize, page);
     
-    this.logger.verbose(`Retrieved ${response.rows?.length || 0} episodes from page ${page}`);
+    this.logger.verbose(`Retrieved ${response.rows?.length || 0} episodes from page ${page}`, { page });
     return response;
   }
 
@@ -159,64 +693,92 @@ class PodcastService {
    * @returns {Promise<Array>} Array of matching episodes
    */
   async searchEpisodesByTitle(stationId, podcastId, searchTerm) {
-    const matchingEpisodes = [];
     const searchTermLower = searchTerm.toLowerCase();
-    let currentPage = 1;
-    const batchSize = 100; // Use larger batch size for searching
     
     this.logger.info(`Searching for episodes containing: "${searchTerm}"`);
     
-    while (true) {
+    const episodes = await this.listSelectableEpisodes(stationId, podcastId);
+    return episodes.filter(episode => (episode.title || '').toLowerCase().includes(searchTermLower));
+  }
+
+  /**
+   * Check whether search and selections choose from the local catalog for a podcast
+   * @param {string} podcastId - Podcast ID
+   * @returns {boolean} True if the podcast has been synced to the catalog
+   */
+  usesCatalog(podcastId) {
+    return !!(this.catalog && this.catalog.hasPodcast(podcastId));
+  }
+
+  /**
+   * List the episodes search and selections choose from: the local catalog if the
+   * podcast has been synced, otherwise every episode fetched from the API. Catalog
+   * episodes must go through refreshSelectedEpisodes before they are processed.
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @returns {Promise<Array>} Array of episodes
+   */
+  async listSelectableEpisodes(stationId, podcastId) {
+    if (this.usesCatalog(podcastId)) {
+      const section = this.catalog.getPodcast(podcastId);
+      this.logger.info(`Using the episode catalog synced at ${section.syncedAt} (${section.episodeIds.length} episodes); run sync-catalog to refresh it`);
+      return this.catalog.getEpisodes(podcastId);
+    }
+
+    return this.listAllEpisodes(stationId, podcastId);
+  }
+
+  /**
+   * Fetch every episode in the podcast, in API order
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Function} [onPageError] - Called with (page, error) when a page can't be fetched;
+   *   resolve true to leave that page out and carry on, false to give up
+   * @returns {Promise<Array>} Array of episodes
+   */
+  async listAllEpisodes(stationId, podcastId, onPageError = null) {
+    const episodes = [];
+    const batchSize = 100; // Use larger batch size for listing
+    let currentPage = 1;
+    let totalPages = 1;
+
+    do {
       try {
-        // Get episodes for current page
         const episodesResponse = await this.getEpisodesPage(stationId, podcastId, currentPage, batchSize);
-        
         if (!episodesResponse.rows || episodesResponse.rows.length === 0) {
           break;
         }
-        
-        // Search through episodes in this page
-        for (const episode of episodesResponse.rows) {
-          const title = episode.title || '';
-          if (title.toLowerCase().includes(searchTermLower)) {
-            matchingEpisodes.push(episode);
-          }
-        }
-        
-        // Calculate total pages and check if we're done
-        const calculatedTotalPages = Math.ceil(episodesResponse.total / batchSize);
-        if (currentPage >= calculatedTotalPages) {
-          break;
-        }
-        
-        currentPage++;
-        
-        // Show progress for large searches
-        if (currentPage % 5 === 0) {
-          this.logger.progress(`Searched ${currentPage * batchSize} episodes...`);
-        }
-        
+
+        episodes.push(...episodesResponse.rows);
+        totalPages = Math.ceil(episodesResponse.total / batchSize);
       } catch (error) {
-        this.logger.error(`Error searching page ${currentPage}`, error);
-        break;
+        if (!onPageError || !(await onPageError(currentPage, error))) {
+          throw error;
+        }
       }
-    }
-    
-    return matchingEpisodes;
+
+      currentPage++;
+    } while (currentPage <= totalPages);
+
+    return episodes;
   }
 
   /**
-   * Process all episodes with pagination
+   * Process all episodes in batches.
+   * The ordered list of episode IDs is snapshotted when a run starts and the run
+   * resumes from a position in that snapshot, so episodes published between runs
+   * or a changed batch size never shift what has already been covered. Episodes
+   * that are not in the snapshot are picked up in a final pass.
    * @param {number} stationId - Station ID
    * @param {string} podcastId - Podcast ID
    * @param {number} batchSize - Episodes per batch
-   * @param {number} startPage - Starting page number
+   * @param {number} startPosition - Snapshot position to start from when a new snapshot is taken
    * @param {boolean} dryRun - If true, don't actually upload artwork
    * @param {boolean} force - If true, process even if episode has custom art
    * @param {Function} onBatchComplete - Callback after each batch
    * @returns {Promise<Object>} Final processing results
    */
-  async processAllEpisodes(stationId, podcastId, batchSize, startPage = 1, dryRun = false, force = false, onBatchComplete = null) {
+  async processAllEpisodes(stationId, podcastId, batchSize, startPosition = 0, dryRun = false, force = false, onBatchComplete = null) {
     const stationConfig = getStationConfig(stationId);
     this.logger.info(`Starting processing for ${stationConfig.name}`);
     
@@ -224,191 +786,227 @@ class PodcastService {
       this.logger.warning('DRY RUN MODE - No artwork will be uploaded');
     }
 
-    let currentPage = startPage;
-    let totalProcessed = 0;
-    let totalSuccess = 0;
-    let totalFailed = 0;
-    let totalSkipped = 0;
-    let isFirstBatch = true;
+    const totals = {
+      processed: 0,
+      success: 0,
+      failed: 0,
+      skipped: 0,
+      noSourceArt: 0,
+      verifyFailed: 0,
+      passedOver: 0
+    };
+
+    // Listing errors go through the same callback as batch errors
+    const onListingError = async (page, error) => {
+      this.logger.error(`Error listing episodes (page ${page})`, error, { page });
+      if (!onBatchComplete) {
+        return false;
+      }
+      const response = await onBatchComplete({ page, error: error.message, totalResults: { ...totals } });
+      return typeof response === 'boolean' ? response : !!(response && response.continue);
+    };
+
+    let episodes;
+    try {
+      episodes = await this.listAllEpisodes(stationId, podcastId, onListingError);
+    } catch (error) {
+      this.logger.info('Processing aborted due to error');
+      return { ...totals, position: 0 };
+    }
+
+    this.state.updateTotal(episodes.length);
+    this.logger.info(`Total episodes in podcast: ${episodes.length}`);
 
-    while (true) {
+    let snapshot = this.state.getSnapshot();
+    if (!snapshot) {
+      snapshot = this.state.setSnapshot(episodes.map(episode => episode.id), startPosition);
+      this.logger.verbose(`Snapshotted ${snapshot.episodeIds.length} episode IDs; starting at position ${snapshot.position}`);
+    } else {
+      this.logger.verbose(`Using the run's snapshot of ${snapshot.episodeIds.length} episode IDs from position ${snapshot.position}`);
+    }
+    await this.state.save();
+
+    const episodesById = new Map(episodes.map(episode => [episode.id, episode]));
+    const run = await this.processSnapshot(stationId, podcastId, episodesById, batchSize, dryRun, force, onBatchComplete, totals);
+
+    // Final pass: episodes published since the snapshot was taken
+    if (run.completed) {
+      let latest = [];
       try {
-        // Get episodes for current page
-        const episodesResponse = await this.getEpisodesPage(stationId, podcastId, currentPage, batchSize);
-        
-        if (!episodesResponse.rows || episodesResponse.rows.length === 0) {
-          this.logger.info('No more episodes to process');
-          break;
-        }
+        latest = await this.listAllEpisodes(stationId, podcastId);
+      } catch (error) {
+        this.logger.warning(`Could not check for new episodes: ${error.message}`);
+      }
+
+      const snapshotIds = new Set(this.state.getSnapshot().episodeIds);
+      const newEpisodes = latest.filter(episode => !snapshotIds.has(episode.id));
+      if (newEpisodes.length > 0) {
+        this.logger.info(`Found ${newEpisodes.length} episode(s) published since the run started`);
+        newEpisodes.forEach(episode => episodesById.set(episode.id, episode));
+        this.state.appendToSnapshot(newEpisodes.map(episode => episode.id));
+        this.state.updateTotal(latest.length);
+        await this.processSnapshot(stationId, podcastId, episodesById, run.batchSize, dryRun, force, onBatchComplete, totals);
+      }
+    }
+
+    // Mark as complete if we processed all episodes
+    const stats = this.state.getStats();
+    if (stats.processed >= stats.total) {
+      this.state.markComplete();
+    }
+    await this.state.save();
 
-        // Update total episodes count on first page
-        if (currentPage === startPage) {
-          this.progress.updateTotal(episodesResponse.total);
-          this.logger.info(`Total episodes in podcast: ${episodesResponse.total}`);
+    return {
+      ...totals,
+      position: this.state.getSnapshot().position
+    };
+  }
+
+  /**
+   * Process the run's snapshot in batches from its saved position
+   * @param {number} stationId - Station ID
+   * @param {string} podcastId - Podcast ID
+   * @param {Map} episodesById - Current episodes keyed by ID
+   * @param {number} batchSize - Episodes per batch
+   * @param {boolean} dryRun - If true, don't actually upload artwork
+   * @param {boolean} force - If true, process even if episode has custom art
+   * @param {Function} onBatchComplete - Callback after each batch
+   * @param {Object} totals - Running totals, updated in place
+   * @returns {Promise<Object>} { completed, batchSize } where completed is false if the run was stopped
+   */
+  async processSnapshot(stationId, podcastId, episodesById, batchSize, dryRun, force, onBatchComplete, totals) {
+    const { episodeIds } = this.state.getSnapshot();
+    let position = this.state.getSnapshot().position;
+    let isFirstBatch = totals.processed === 0;
+
+    const batchNumber = () => Math.floor(position / batchSize) + 1;
+    const totalBatches = () => batchNumber() - 1 + Math.ceil((episodeIds.length - position) / batchSize);
+
+    // Handle response - could be boolean (old format) or object (new format)
+    const handleResponse = (response, stopMessage) => {
+      const shouldContinue = typeof response === 'boolean' ? response : !!(response && response.continue);
+      if (!shouldContinue) {
+        this.logger.info(stopMessage);
+        return false;
+      }
+      if (response && response.newBatchSize && response.newBatchSize !== batchSize) {
+        batchSize = response.newBatchSize;
+        this.logger.info(`Batch size changed to ${batchSize} episodes`);
+      }
+      return true;
+    };
+
+    while (position < episodeIds.length) {
+      if (this.shutdown && this.shutdown.requested) {
+        this.logger.info('Processing stopped for shutdown');
+        return { completed: false, batchSize };
+      }
+
+      // Ask for permission before processing (including the first batch)
+      if (onBatchComplete && isFirstBatch) {
+        isFirstBatch = false;
+        const response = await onBatchComplete({
+          page: batchNumber(),
+          totalPages: totalBatches(),
+          episodesToProcess: Math.min(batchSize, episodeIds.length - position),
+          totalResults: { ...totals },
+          preProcess: true,
+          isFirstBatch: true
+        });
+        if (!handleResponse(response, 'Processing stopped by user')) {
+          return { completed: false, batchSize };
         }
+      }
 
-        // Calculate correct total pages based on current batch size and total episodes
-        const calculatedTotalPages = Math.ceil(episodesResponse.total / batchSize);
-        this.logger.verbose(`API reports ${episodesResponse.total_pages} pages, calculated ${calculatedTotalPages} pages for batch size ${batchSize}`);
-
-        // Update current page in progress
-        this.progress.updateCurrentPage(currentPage);
-
-        // Ask for permission before processing (including the first batch)
-        if (onBatchComplete && isFirstBatch) {
-          const shouldContinue = await onBatchComplete({
-            page: currentPage,
-            totalPages: calculatedTotalPages,
-            episodesToProcess: episodesResponse.rows.length,
-            totalResults: {
-              processed: totalProcessed,
-              success: totalSuccess,
-              failed: totalFailed,
-              skipped: totalSkipped
-            },
-            preProcess: true,
-            isFirstBatch: true
-          });
+      const page = batchNumber();
+      const totalPages = totalBatches();
+      const batchIds = episodeIds.slice(position, position + batchSize);
 
-          isFirstBatch = false; // Mark as no longer first batch BEFORE processing response
-
-          if (typeof shouldContinue === 'boolean') {
-            if (!shouldContinue) {
-              this.logger.info('Processing stopped by user');
-              break;
-            }
-          } else if (typeof shouldContinue === 'object') {
-            if (!shouldContinue.continue) {
-              this.logger.info('Processing stopped by user');
-              break;
-            }
-            // Update batch size if provided
-            if (shouldContinue.newBatchSize && shouldContinue.newBatchSize !== batchSize) {
-              batchSize = shouldContinue.newBatchSize;
-              this.logger.info(`Batch size changed to ${batchSize} episodes`);
-              // Need to re-fetch with new batch size
-              continue;
-            }
-          }
+      // Episodes deleted since the snapshot was taken are passed over
+      const batch = [];
+      for (const episodeId of batchIds) {
+        if (episodesById.has(episodeId)) {
+          batch.push(episodesById.get(episodeId));
+        } else {
+          this.logger.verbose(`Episode ${episodeId} no longer exists; passing over it`, { episodeId, page });
         }
+      }
 
-        // Use magenta color for page processing to distinguish from individual episodes
-        const chalk = require('chalk');
-        console.log(chalk.magenta('📄 Processing page ' + currentPage + '/' + calculatedTotalPages + ' (' + episodesResponse.rows.length + ' episodes)'));
+      try {
+        this.logger.batchStart(page, totalPages, batch.length);
 
-        // Process batch
-        const batchResults = await this.processBatch(stationId, podcastId, episodesResponse.rows, dryRun, force);
+        const batchResults = await this.processBatch(stationId, podcastId, batch, dryRun, force, false, page);
 
         // Update totals
-        totalProcessed += batchResults.total;
-        totalSuccess += batchResults.success;
-        totalFailed += batchResults.failed;
-        totalSkipped += batchResults.skipped;
+        totals.processed += batchResults.total;
+        totals.success += batchResults.success;
+        totals.failed += batchResults.failed;
+        totals.skipped += batchResults.skipped;
+        totals.noSourceArt += batchResults.noSourceArt;
+        totals.verifyFailed += batchResults.verifyFailed;
+        totals.passedOver += batchResults.passedOver;
+
+        // A batch cut short by a shutdown is started again on resume; its finished
+        // episodes are recorded and passed over then
+        if (batchResults.interrupted > 0) {
+          await this.state.save();
+          this.logger.info(`Batch ${page} stopped for shutdown with ${batchResults.interrupted} episode(s) not processed`, { page });
+          return { completed: false, batchSize };
+        }
 
-        // Show batch results
-        this.logger.info(`Batch ${currentPage} complete: ${batchResults.success} success, ${batchResults.failed} failed, ${batchResults.skipped} skipped`);
+        position += batchIds.length;
+        this.state.updatePosition(position);
+        await this.state.save();
 
-        // Call batch complete callback if provided
-        if (onBatchComplete) {
-          const batchResponse = await onBatchComplete({
-            page: currentPage,
-            totalPages: calculatedTotalPages,
+        // Show batch results
+        const { processed, ...batchCounts } = batchResults;
+        this.logger.info(`Batch ${page} complete: ${batchResults.success} success, ${batchResults.failed} failed, ${batchResults.skipped} skipped, ${batchResults.noSourceArt} without source art${this.verify ? `, ${batchResults.verifyFailed} failed verification` : ''}${batchResults.passedOver ? `, ${batchResults.passedOver} already processed` : ''}`,
+          { page, results: batchCounts });
+
+        // Call batch complete callback if provided (not when shutting down)
+        if (onBatchComplete && !(this.shutdown && this.shutdown.requested)) {
+          const response = await onBatchComplete({
+            page,
+            totalPages,
             batchResults,
-            totalResults: {
-              processed: totalProcessed,
-              success: totalSuccess,
-              failed: totalFailed,
-              skipped: totalSkipped
-            }
+            totalResults: { ...totals }
           });
-
-          // Handle response - could be boolean (old format) or object (new format)
-          if (typeof batchResponse === 'boolean') {
-            if (!batchResponse) {
-              this.logger.info('Processing stopped by user');
-              break;
-            }
-          } else if (typeof batchResponse === 'object') {
-            if (!batchResponse.continue) {
-              this.logger.info('Processing stopped by user');
-              break;
-            }
-            // Update batch size if provided
-            if (batchResponse.newBatchSize && batchResponse.newBatchSize !== batchSize) {
-              batchSize = batchResponse.newBatchSize;
-              this.logger.info(`Batch size changed to ${batchSize} episodes`);
-            }
+          if (!handleResponse(response, 'Processing stopped by user')) {
+            return { completed: false, batchSize };
           }
         }
 
-        // Check if we've processed all pages
-        // Use a more robust check: if no episodes returned or we've processed all episodes
-        if (currentPage >= calculatedTotalPages || 
-            !episodesResponse.rows || 
-            episodesResponse.rows.length === 0) {
-          this.logger.info('All pages processed');
-          break;
-        }
-
-        currentPage++;
-
       } catch (error) {
-        this.logger.error(`Error processing page ${currentPage}`, error);
-        
+        this.logger.error(`Error processing batch ${page}`, error, { page });
+
         // Ask user if they want to continue or abort
         if (onBatchComplete) {
-          const shouldContinue = await onBatchComplete({
-            page: currentPage,
+          const previousBatchSize = batchSize;
+          const response = await onBatchComplete({
+            page,
             error: error.message,
-            totalResults: {
-              processed: totalProcessed,
-              success: totalSuccess,
-              failed: totalFailed,
-              skipped: totalSkipped
-            }
+            totalResults: { ...totals }
           });
-
-          if (typeof shouldContinue === 'boolean') {
-            if (!shouldContinue) {
-              this.logger.info('Processing aborted due to error');
-              break;
-            }
-          } else if (typeof shouldContinue === 'object') {
-            if (!shouldContinue.continue) {
-              this.logger.info('Processing aborted due to error');
-              break;
-            }
-            // Update batch size if provided (useful for batch size errors)
-            if (shouldContinue.newBatchSize && shouldContinue.newBatchSize !== batchSize) {
-              batchSize = shouldContinue.newBatchSize;
-              this.logger.info(`Batch size changed to ${batchSize} episodes`);
-              // Don't increment page, retry with new batch size
-              continue;
-            }
+          if (!handleResponse(response, 'Processing aborted due to error')) {
+            return { completed: false, batchSize };
+          }
+          // Retry the same position if the batch size was changed
+          if (batchSize !== previousBatchSize) {
+            continue;
           }
         } else {
-          // If no callback, continue to next page
-          this.logger.warning('Continuing to next page after error');
+          // If no callback, continue to the next batch
+          this.logger.warning('Continuing to next batch after error');
         }
 
-        currentPage++;
+        position += batchIds.length;
+        this.state.updatePosition(position);
+        await this.state.save();
       }
     }
 
-    // Mark as complete if we processed all episodes
-    const stats = this.progress.getStats();
-    if (stats.processed >= stats.total) {
-      this.progress.markComplete();
-      await this.progress.save();
-    }
-
-    return {
-      processed: totalProcessed,
-      success: totalSuccess,
-      failed: totalFailed,
-      skipped: totalSkipped,
-      finalPage: currentPage - 1
-    };
+    this.logger.info('All batches processed');
+    return { completed: true, batchSize };
   }
 }
 
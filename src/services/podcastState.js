@@ -0,0 +1,687 @@
+/**
+ * Run metadata, resume cursor and episode records for one podcast
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const { config } = require('../utils/config');
+const { categorizeError } = require('../utils/errorCategory');
+
+// Statistics key for each episode status
+const STATUS_STATS = {
+  success: 'success',
+  failed: 'failed',
+  skipped: 'skipped',
+  'no-source-art': 'noSourceArt',
+  'verify-failed': 'verifyFailed'
+};
+
+// Counters earlier versions stored in the metadata; statistics now come from the episode records
+const STORED_COUNT_FIELDS = {
+  processedEpisodes: 'processed',
+  successCount: 'success',
+  failureCount: 'failed',
+  skippedCount: 'skipped',
+  noSourceArtCount: 'noSourceArt',
+  verifyFailedCount: 'verifyFailed'
+};
+
+/**
+ * Create zeroed episode counts
+ * @returns {Object} Counts of processed episodes by status
+ */
+function emptyCounts() {
+  return {
+    processed: 0,
+    success: 0,
+    failed: 0,
+    skipped: 0,
+    noSourceArt: 0,
+    verifyFailed: 0
+  };
+}
+
+/**
+ * Count one episode result
+ * @param {Object} counts - Counts to update (see emptyCounts)
+ * @param {string} status - Episode status
+ */
+function countStatus(counts, status) {
+  counts.processed++;
+  const key = STATUS_STATS[status];
+  if (key) {
+    counts[key]++;
+  }
+}
+
+/**
+ * Move the reason for a skip that earlier versions stored as the error into its own field
+ * @param {Object} entry - Episode record or attempt
+ * @returns {Object} The entry, or a copy with the reason moved out of error
+ */
+function withSkipReason(entry) {
+  if (entry.status !== 'skipped' || !entry.error) {
+    return entry;
+  }
+  return { ...entry, reason: entry.reason || entry.error, error: null, errorCategory: null };
+}
+
+/**
+ * Describe a record saved before attempts were kept as its only known attempt
+ * @param {Object} record - Episode record without an attempts list
+ * @returns {Object} Attempt
+ */
+function attemptFromRecord(record) {
+  return {
+    status: record.status,
+    error: record.error || null,
+    errorCategory: record.errorCategory || categorizeError(record.error),
+    reason: record.reason || null,
+    httpStatus: null,
+    bytes: record.artworkBytes || null,
+    durationMs: null,
+    runId: record.runId || null,
+    at: record.updatedAt || record.processedAt || null
+  };
+}
+
+/**
+ * Keep the most recent attempts allowed by config.processing.maxEpisodeAttempts (0 keeps all)
+ * @param {Array<Object>} attempts - Attempts, oldest first
+ * @returns {Array<Object>} Attempts kept
+ */
+function limitAttempts(attempts) {
+  const limit = config.processing.maxEpisodeAttempts;
+  return limit > 0 && attempts.length > limit ? attempts.slice(-limit) : attempts;
+}
+
+/**
+ * Bring an episode record saved by an earlier version up to date: the skip reason in
+ * its own field, the error category, updatedAt and the attempts list
+ * @param {Object} record - Episode record
+ * @returns {Object} Upgraded record
+ */
+function upgradeRecord(record) {
+  const current = withSkipReason(record);
+  const upgraded = {
+    ...current,
+    errorCategory: categorizeError(current.error),
+    updatedAt: current.updatedAt || current.processedAt
+  };
+  upgraded.attempts = current.attempts ? current.attempts.map(withSkipReason) : [attemptFromRecord(upgraded)];
+  return upgraded;
+}
+
+/**
+ * Copy the counters earlier versions stored in the run metadata
+ * @param {Object} metadata - Run metadata
+ * @returns {Object} Stored counters found in the metadata
+ */
+function storedCounts(metadata) {
+  const counts = {};
+  for (const field of Object.keys(STORED_COUNT_FIELDS)) {
+    if (field in metadata) {
+      counts[field] = metadata[field];
+    }
+  }
+  return counts;
+}
+
+/**
+ * Create a cursor with no snapshot
+ * @returns {Object} Cursor ({ episodeIds, position, snapshotAt })
+ */
+function emptyCursor() {
+  return { episodeIds: null, position: 0, snapshotAt: null };
+}
+
+/**
+ * Create an empty podcast section
+ * @returns {Object} Section with no run, cursor or episodes
+ */
+function emptySection() {
+  return {
+    metadata: null,
+    cursor: emptyCursor(),
+    episodes: {}
+  };
+}
+
+class PodcastState {
+  /**
+   * @param {StateStore} store - State store that owns the data and saves it
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} section - This podcast's section of the state data
+   * @param {Object} logger - Logger instance
+   */
+  constructor(store, podcastId, section, logger) {
+    this.store = store;
+    this.podcastId = podcastId;
+    this.section = section;
+    this.logger = logger;
+  }
+
+  /**
+   * Save state to file (see StateStore.save)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    return this.store.save();
+  }
+
+  /**
+   * Start a new run, keeping existing episode records. The run's episode snapshot
+   * is taken when processing starts. startedAt is this run's start; firstStartedAt
+   * keeps the podcast's first run start. Counters stored by earlier versions are kept
+   * until repair() has compared them with the records.
+   * @param {number} stationId - Station ID
+   * @param {number} batchSize - Batch size
+   * @returns {Promise<void>}
+   */
+  async startRun(stationId, batchSize = 50) {
+    const existing = this.section.metadata || {};
+    const now = new Date().toISOString();
+
+    this.section.metadata = {
+      stationId,
+      podcastId: this.podcastId,
+      batchSize,
+      totalEpisodes: existing.totalEpisodes || 0,
+      startedAt: now,
+      firstStartedAt: existing.firstStartedAt || existing.startedAt || now,
+      lastProcessedAt: existing.lastProcessedAt || null,
+      isComplete: false,
+      ...storedCounts(existing)
+    };
+    this.section.cursor = emptyCursor();
+
+    this.logger.verbose(`Run state initialized: ${this.getStats().processed} episodes already processed`);
+    await this.save();
+  }
+
+  /**
+   * Reset run metadata, cursor and episode records for this podcast
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    Object.assign(this.section, emptySection());
+    await this.save();
+    this.logger.info(`Progress reset for podcast ${this.podcastId} - starting fresh`);
+  }
+
+  /**
+   * Update total episodes count
+   * @param {number} total - Total number of episodes
+   */
+  updateTotal(total) {
+    if (this.section.metadata) {
+      this.section.metadata.totalEpisodes = total;
+    }
+  }
+
+  /**
+   * Get the run's snapshot of episode IDs and the position reached in it
+   * @returns {Object|null} { episodeIds, position } or null if no snapshot has been taken
+   */
+  getSnapshot() {
+    const cursor = this.section.cursor;
+    if (!cursor || !Array.isArray(cursor.episodeIds)) {
+      return null;
+    }
+
+    return { episodeIds: cursor.episodeIds, position: cursor.position || 0 };
+  }
+
+  /**
+   * Snapshot the ordered episode IDs for the current run
+   * @param {Array<string>} episodeIds - Episode IDs in processing order
+   * @param {number} [position=0] - Position to start from
+   * @returns {Object} The new snapshot
+   */
+  setSnapshot(episodeIds, position = 0) {
+    this.section.cursor = {
+      episodeIds: [...episodeIds],
+      position: Math.min(Math.max(0, position), episodeIds.length),
+      snapshotAt: new Date().toISOString()
+    };
+    return this.getSnapshot();
+  }
+
+  /**
+   * Add episodes that appeared after the snapshot was taken to its end
+   * @param {Array<string>} episodeIds - New episode IDs
+   */
+  appendToSnapshot(episodeIds) {
+    this.section.cursor.episodeIds.push(...episodeIds);
+  }
+
+  /**
+   * Update the resume position in the snapshot
+   * @param {number} position - Index of the next episode to process
+   */
+  updatePosition(position) {
+    this.section.cursor.position = position;
+  }
+
+  /**
+   * Mark processing as complete
+   */
+  markComplete() {
+    if (this.section.metadata) {
+      this.section.metadata.isComplete = true;
+      this.section.metadata.completedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Record an episode result and save it in a single write. The result is added to the
+   * episode's attempts (all of them unless MAX_EPISODE_ATTEMPTS limits them; attemptCount
+   * keeps the total); the record's top-level fields summarize the latest attempt.
+   * @param {string} episodeId - Episode ID
+   * @param {string} mediaUniqueId - Media unique ID
+   * @param {string} status - Processing status ('success', 'failed', 'skipped', 'no-source-art', 'verify-failed')
+   * @param {string} [error] - Error message if failed
+   * @param {string} [title] - Episode title
+   * @param {Object} [details] - Details of this attempt
+   * @param {string} [details.runId] - Run that produced the result; the run's counts are updated too
+   * @param {number} [details.artworkBytes] - Size of the artwork uploaded (or, in a dry run, that would have been)
+   * @param {number} [details.httpStatus] - HTTP status of the failed request
+   * @param {number} [details.durationMs] - Time spent on the episode
+   * @param {string} [details.reason] - Why the episode was skipped; kept apart from errors
+   * @param {boolean} [details.dryRun] - The result of a dry run; it is kept as an attempt but never
+   *   replaces a real result, and records holding only dry-run results don't count as processed
+   * @returns {Promise<void>}
+   */
+  async recordEpisode(episodeId, mediaUniqueId, status, error = null, title = null, details = {}) {
+    const now = new Date().toISOString();
+    const previous = this.section.episodes[episodeId];
+    const errorCategory = categorizeError(error);
+    const reason = details.reason || null;
+    const dryRun = !!details.dryRun;
+
+    const previousAttempts = previous
+      ? (previous.attempts || [attemptFromRecord(previous)])
+      : [];
+    const attemptCount = (previous ? previous.attemptCount || previousAttempts.length : 0) + 1;
+    const attempts = limitAttempts([...previousAttempts, {
+      status,
+      error,
+      errorCategory,
+      reason,
+      httpStatus: details.httpStatus || null,
+      bytes: details.artworkBytes || null,
+      durationMs: details.durationMs === undefined ? null : details.durationMs,
+      runId: details.runId || null,
+      ...(dryRun ? { dryRun } : {}),
+      at: now
+    }]);
+
+    if (dryRun && previous && !previous.dryRun) {
+      // The real result stays the latest one
+      this.section.episodes[episodeId] = { ...previous, attempts, attemptCount };
+    } else {
+      this.section.episodes[episodeId] = {
+        episodeId,
+        mediaUniqueId,
+        status,
+        error,
+        errorCategory,
+        reason,
+        title: title || (previous && previous.title) || null,
+        runId: details.runId || null,
+        artworkBytes: details.artworkBytes || null,
+        ...(dryRun ? { dryRun } : {}),
+        processedAt: now,
+        updatedAt: now,
+        attempts,
+        attemptCount
+      };
+    }
+
+    if (this.section.metadata && !dryRun) {
+      this.section.metadata.lastProcessedAt = now;
+    }
+    if (details.runId) {
+      this.store.countRunEpisode(details.runId, this.podcastId, status);
+    }
+
+    this.logger.verbose(`${previous ? 'Updated' : 'Added'} episode record: ${episodeId}`);
+    await this.save();
+  }
+
+  /**
+   * Check if an episode has been processed
+   * @param {string} episodeId - Episode ID
+   * @returns {boolean} True if episode has been processed
+   */
+  isEpisodeProcessed(episodeId) {
+    return this.getEpisodeStatus(episodeId) !== null;
+  }
+
+  /**
+   * Get episode processing status. Dry-run results don't count: nothing was uploaded.
+   * @param {string} episodeId - Episode ID
+   * @returns {string|null} Processing status or null if not processed
+   */
+  getEpisodeStatus(episodeId) {
+    const record = this.getEpisode(episodeId);
+    return record && !record.dryRun ? record.status : null;
+  }
+
+  /**
+   * Get an episode record
+   * @param {string} episodeId - Episode ID
+   * @returns {Object|null} Episode record or null if not found
+   */
+  getEpisode(episodeId) {
+    return this.section.episodes[episodeId] || null;
+  }
+
+  /**
+   * Get an episode record with its kept attempt history. Records saved before
+   * attempts were kept show their one known result as the only attempt.
+   * @param {string} episodeId - Episode ID
+   * @returns {Object|null} Episode record or null if not found
+   */
+  getEpisodeHistory(episodeId) {
+    const record = this.getEpisode(episodeId);
+    if (!record) {
+      return null;
+    }
+
+    return { ...record, attempts: record.attempts || [attemptFromRecord(record)] };
+  }
+
+  /**
+   * Get all episode records
+   * @returns {Array} Array of episode records
+   */
+  getAllEpisodes() {
+    return Object.values(this.section.episodes);
+  }
+
+  /**
+   * Get the episodes a run processed, as of that run. A dry run's result on an episode
+   * that keeps an earlier real result is taken from the run's attempt.
+   * @param {string} runId - Run ID
+   * @returns {Array} Array of episode records
+   */
+  getEpisodesForRun(runId) {
+    const records = [];
+    for (const record of this.getAllEpisodes()) {
+      if (record.runId === runId) {
+        records.push(record);
+        continue;
+      }
+
+      const attempt = (record.attempts || []).filter(a => a.runId === runId).pop();
+      if (attempt) {
+        records.push({
+          ...record,
+          status: attempt.status,
+          error: attempt.error,
+          errorCategory: attempt.errorCategory,
+          reason: attempt.reason || null,
+          runId,
+          artworkBytes: attempt.bytes,
+          dryRun: !!attempt.dryRun,
+          processedAt: attempt.at,
+          updatedAt: attempt.at
+        });
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Get episodes by status
+   * @param {string} status - Status to filter by
+   * @returns {Array} Array of episode records
+   */
+  getEpisodesByStatus(status) {
+    return this.getAllEpisodes().filter(ep => ep.status === status);
+  }
+
+  /**
+   * Get failed episodes
+   * @returns {Array} Array of failed episode records
+   */
+  getFailedEpisodes() {
+    return this.getEpisodesByStatus('failed');
+  }
+
+  /**
+   * Find failed episodes (including failed verifications) to retry. Records holding only
+   * dry-run results are left out.
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.errorMatch] - Case-insensitive regular expression matched against the error message
+   * @param {string} [filters.errorCategory] - Error category (see utils/errorCategory)
+   * @returns {Array} Array of matching episode records
+   */
+  findFailedEpisodes({ errorMatch = null, errorCategory = null } = {}) {
+    const errorPattern = errorMatch ? new RegExp(errorMatch, 'i') : null;
+
+    return this.getAllEpisodes().filter(ep => {
+      if (ep.dryRun || (ep.status !== 'failed' && ep.status !== 'verify-failed')) {
+        return false;
+      }
+      if (errorPattern && !errorPattern.test(ep.error || '')) {
+        return false;
+      }
+      if (errorCategory && (ep.errorCategory || categorizeError(ep.error)) !== errorCategory) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Get the most recently recorded failures, including failed verifications. Records
+   * holding only dry-run results are left out.
+   * @param {number} [limit=10] - Maximum number of records
+   * @returns {Array} Failed episode records, newest first
+   */
+  getRecentFailures(limit = 10) {
+    return this.getAllEpisodes()
+      .filter(ep => !ep.dryRun && (ep.status === 'failed' || ep.status === 'verify-failed'))
+      .sort((a, b) => (b.updatedAt || b.processedAt || '').localeCompare(a.updatedAt || a.processedAt || ''))
+      .slice(0, limit);
+  }
+
+  /**
+   * Search episode records by title (case-insensitive substring match)
+   * @param {string} searchTerm - Search term
+   * @returns {Array} Array of matching episode records
+   */
+  searchEpisodesByTitle(searchTerm) {
+    const searchLower = searchTerm.toLowerCase();
+    return this.getAllEpisodes().filter(ep =>
+      ep.title && ep.title.toLowerCase().includes(searchLower)
+    );
+  }
+
+  /**
+   * Get current statistics, counted from the episode records so re-processed
+   * episodes are never counted twice. Records holding only dry-run results are left out.
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    const stats = {
+      total: this.section.metadata ? this.section.metadata.totalEpisodes : 0,
+      ...emptyCounts()
+    };
+
+    for (const record of this.getAllEpisodes()) {
+      if (!record.dryRun) {
+        countStatus(stats, record.status);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Recompute derived state and fix inconsistencies left by earlier versions:
+   * stored counters, page-based resume positions, records filed under the wrong
+   * ID or missing fields (including the attempts list), and runs marked complete
+   * before every episode was processed
+   * @returns {Array<string>} Description of each fix made
+   */
+  repair() {
+    const fixes = [];
+    const stats = this.getStats();
+    const metadata = this.section.metadata;
+
+    if (metadata) {
+      for (const [field, statKey] of Object.entries(STORED_COUNT_FIELDS)) {
+        if (field in metadata) {
+          if (metadata[field] !== stats[statKey]) {
+            fixes.push(`${field} was ${metadata[field]}, records give ${stats[statKey]}`);
+          }
+          delete metadata[field];
+        }
+      }
+
+      if (metadata.isComplete && stats.processed < metadata.totalEpisodes) {
+        fixes.push(`run was marked complete with ${stats.processed}/${metadata.totalEpisodes} episodes processed`);
+        metadata.isComplete = false;
+        delete metadata.completedAt;
+      }
+    }
+
+    const cursor = this.section.cursor || {};
+    if (!('episodeIds' in cursor)) {
+      fixes.push(`replaced page-based resume position (page ${cursor.currentPage || 1}) with an episode snapshot cursor`);
+      this.section.cursor = emptyCursor();
+    }
+
+    const episodes = {};
+    for (const [key, record] of Object.entries(this.section.episodes)) {
+      const episodeId = record.episodeId || key;
+      if (episodeId !== key) {
+        fixes.push(`record stored under ${key} belongs to episode ${episodeId}`);
+      }
+      if (!STATUS_STATS[record.status]) {
+        fixes.push(`dropped record for ${episodeId} with unknown status "${record.status}"`);
+        continue;
+      }
+
+      // Earlier versions stored the reason for a skip as its error
+      const current = withSkipReason(record);
+      if (current !== record) {
+        fixes.push(`moved the skip reason out of the error for ${episodeId}`);
+      }
+
+      const repaired = {
+        ...current,
+        episodeId,
+        errorCategory: categorizeError(current.error),
+        updatedAt: current.updatedAt || current.processedAt
+      };
+      repaired.attempts = record.attempts ? record.attempts.map(withSkipReason) : [attemptFromRecord(repaired)];
+      if (repaired.errorCategory !== current.errorCategory || repaired.updatedAt !== current.updatedAt || !record.episodeId || !record.attempts) {
+        fixes.push(`filled in missing fields for ${episodeId}`);
+      }
+      const kept = limitAttempts(repaired.attempts);
+      if (kept.length < repaired.attempts.length) {
+        repaired.attemptCount = record.attemptCount || repaired.attempts.length;
+        repaired.attempts = kept;
+        fixes.push(`kept the last ${kept.length} attempts for ${episodeId} (MAX_EPISODE_ATTEMPTS)`);
+      }
+
+      // Keep the newer record if two were stored for the same episode
+      const existing = episodes[episodeId];
+      if (!existing || existing.processedAt < repaired.processedAt) {
+        episodes[episodeId] = repaired;
+      }
+    }
+    this.section.episodes = episodes;
+
+    return fixes;
+  }
+
+  /**
+   * Check if we can resume processing
+   * @returns {boolean} True if resume is possible
+   */
+  canResume() {
+    return !!(this.section.metadata && !this.section.metadata.isComplete);
+  }
+
+  /**
+   * Check whether any run has been recorded
+   * @returns {boolean} True if run metadata exists
+   */
+  hasRun() {
+    return !!this.section.metadata;
+  }
+
+  /**
+   * Get resume information
+   * @returns {Object|null} Resume information or null if can't resume
+   */
+  getResumeInfo() {
+    if (!this.canResume()) {
+      return null;
+    }
+
+    const metadata = this.section.metadata;
+    const snapshot = this.getSnapshot();
+    return {
+      stationId: metadata.stationId,
+      podcastId: this.podcastId,
+      position: snapshot ? snapshot.position : 0,
+      snapshotSize: snapshot ? snapshot.episodeIds.length : null,
+      batchSize: metadata.batchSize,
+      processedEpisodes: this.getStats().processed,
+      totalEpisodes: metadata.totalEpisodes
+    };
+  }
+
+  /**
+   * Summarize the saved run, resume position, statistics and recent failures
+   * @param {number} [failureLimit=10] - Maximum number of recent failures to include
+   * @returns {Object} Status of this podcast
+   */
+  getStatus(failureLimit = 10) {
+    const metadata = this.section.metadata;
+    const snapshot = this.getSnapshot();
+    const batchSize = (metadata && metadata.batchSize) || null;
+
+    return {
+      podcastId: this.podcastId,
+      run: metadata ? {
+        stationId: metadata.stationId,
+        batchSize: metadata.batchSize,
+        totalEpisodes: metadata.totalEpisodes,
+        startedAt: metadata.startedAt || null,
+        firstStartedAt: metadata.firstStartedAt || metadata.startedAt || null,
+        lastProcessedAt: metadata.lastProcessedAt || null,
+        completedAt: metadata.completedAt || null,
+        isComplete: !!metadata.isComplete
+      } : null,
+      cursor: snapshot ? {
+        position: snapshot.position,
+        snapshotSize: snapshot.episodeIds.length,
+        batch: batchSize ? Math.floor(snapshot.position / batchSize) + 1 : null,
+        totalBatches: batchSize ? Math.ceil(snapshot.episodeIds.length / batchSize) : null
+      } : null,
+      stats: this.getStats(),
+      recentFailures: this.getRecentFailures(failureLimit).map(ep => ({
+        episodeId: ep.episodeId,
+        title: ep.title || null,
+        status: ep.status,
+        error: ep.error || null,
+        errorCategory: ep.errorCategory || categorizeError(ep.error),
+        updatedAt: ep.updatedAt || ep.processedAt || null
+      }))
+    };
+  }
+}
+
+PodcastState.emptySection = emptySection;
+PodcastState.upgradeRecord = upgradeRecord;
+PodcastState.emptyCounts = emptyCounts;
+PodcastState.countStatus = countStatus;
+
+module.exports = PodcastState;
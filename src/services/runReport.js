@@ -0,0 +1,260 @@
+/**
+ * Episode result report export in CSV, JSON or standalone HTML
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EpisodeSelector = require('./episodeSelector');
+
+// Report format for each supported file extension
+const FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+const SCOPES = ['run', 'all'];
+
+// Report columns: record field and heading
+const COLUMNS = [
+  ['podcastId', 'Podcast ID'],
+  ['episodeId', 'Episode ID'],
+  ['title', 'Title'],
+  ['publishedAt', 'Published At'],
+  ['mediaUniqueId', 'Media ID'],
+  ['status', 'Status'],
+  ['dryRun', 'Dry Run'],
+  ['reason', 'Skip Reason'],
+  ['error', 'Error'],
+  ['errorCategory', 'Error Category'],
+  ['runId', 'Run ID'],
+  ['processedAt', 'Processed At'],
+  ['updatedAt', 'Updated At'],
+  ['artworkBytes', 'Artwork Bytes']
+];
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class RunReport {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Report options
+   * @param {string} options.filePath - Report file; the extension picks the format (.csv, .json, .html)
+   * @param {string} [options.scope='run'] - 'run' for episodes processed in this run, 'all' for every recorded episode
+   * @param {string} options.runId - Current run ID
+   */
+  constructor(logger, { filePath, scope = 'run', runId } = {}) {
+    const format = FORMATS[path.extname(filePath || '').toLowerCase()];
+    if (!format) {
+      throw new Error(`Cannot tell the report format of "${filePath}". Use a file ending in ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Invalid report scope "${scope}". Use one of: ${SCOPES.join(', ')}`);
+    }
+
+    this.logger = logger;
+    this.filePath = filePath;
+    this.format = format;
+    this.scope = scope;
+    this.runId = runId;
+  }
+
+  /**
+   * Gather the episode records the report covers. Publish dates, and titles missing
+   * from the records, come from the episode catalog when the podcast has been synced.
+   * Dry-run results are marked as such; with scope 'all', records holding only dry-run
+   * results are left out, so the report shows what was really changed.
+   * @param {StateStore} stateStore - State store
+   * @param {Array<string>} podcastIds - Podcasts to include
+   * @param {EpisodeCatalog} [catalog] - Local episode mirror
+   * @returns {Array<Object>} Report rows, ordered by podcast then processing time
+   */
+  collectRows(stateStore, podcastIds, catalog = null) {
+    const rows = [];
+    for (const podcastId of podcastIds) {
+      const podcastState = stateStore.forPodcast(podcastId);
+      const records = this.scope === 'run'
+        ? podcastState.getEpisodesForRun(this.runId)
+        : podcastState.getAllEpisodes().filter(record => !record.dryRun);
+
+      records
+        .slice()
+        .sort((a, b) => (a.processedAt || '').localeCompare(b.processedAt || ''))
+        .forEach(record => {
+          const episode = catalog ? catalog.getEpisode(podcastId, record.episodeId) : null;
+          const published = episode ? EpisodeSelector.publishTime(episode) : null;
+          rows.push({
+            podcastId,
+            ...record,
+            title: record.title || (episode && episode.title) || null,
+            dryRun: !!record.dryRun,
+            publishedAt: published === null ? null : new Date(published).toISOString()
+          });
+        });
+    }
+    return rows;
+  }
+
+  /**
+   * Count rows by status (dry-run rows included; see the Dry Run column)
+   * @param {Array<Object>} rows - Report rows
+   * @returns {Object} Count per status
+   */
+  summarize(rows) {
+    const counts = {};
+    for (const row of rows) {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Write the report
+   * @param {StateStore} stateStore - State store
+   * @param {Array<string>} podcastIds - Podcasts to include
+   * @param {EpisodeCatalog} [catalog] - Local episode mirror (see collectRows)
+   * @returns {Promise<number>} Number of episodes in the report
+   */
+  async write(stateStore, podcastIds, catalog = null) {
+    const rows = this.collectRows(stateStore, podcastIds, catalog);
+    const report = {
+      runId: this.runId,
+      scope: this.scope,
+      generatedAt: new Date().toISOString(),
+      podcasts: podcastIds,
+      counts: this.summarize(rows),
+      dryRunEpisodes: rows.filter(row => row.dryRun).length,
+      episodes: rows.map(row => Object.fromEntries(COLUMNS.map(([field]) => [field, row[field] ?? null])))
+    };
+
+    let content;
+    switch (this.format) {
+      case 'csv':
+        content = this.toCsv(report);
+        break;
+      case 'json':
+        content = JSON.stringify(report, null, 2) + '\n';
+        break;
+      default:
+        content = this.toHtml(report);
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, content, 'utf8');
+
+    this.logger.success(`Wrote ${this.format.toUpperCase()} report of ${rows.length} episode(s) to ${this.filePath}`);
+    return rows.length;
+  }
+
+  /**
+   * Format the report as CSV, one row per episode
+   * @param {Object} report - Report data
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const lines = [COLUMNS.map(([, heading]) => csvField(heading)).join(',')];
+    for (const episode of report.episodes) {
+      lines.push(COLUMNS.map(([field]) => csvField(episode[field])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Format the report as a standalone HTML page
+   * @param {Object} report - Report data
+   * @returns {string} HTML document
+   */
+  toHtml(report) {
+    const title = this.scope === 'run'
+      ? `Podcast Art Report - Run ${report.runId}`
+      : 'Podcast Art Report - All Episodes';
+
+    const counts = Object.entries(report.counts)
+      .map(([status, count]) => `<li><span class="status ${escapeHtml(status)}">${escapeHtml(status)}</span> ${count}</li>`)
+      .join('\n    ');
+
+    const headings = COLUMNS.map(([, heading]) => `<th>${escapeHtml(heading)}</th>`).join('');
+    const rows = report.episodes.map(episode => {
+      const cells = COLUMNS.map(([field]) => {
+        if (field === 'status') {
+          return `<td><span class="status ${escapeHtml(episode.status)}">${escapeHtml(episode.status)}</span></td>`;
+        }
+        if (field === 'dryRun') {
+          return `<td>${episode.dryRun ? 'yes' : ''}</td>`;
+        }
+        return `<td>${escapeHtml(episode[field])}</td>`;
+      });
+      return `        <tr>${cells.join('')}</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #222; }
+    h1 { font-size: 1.4rem; }
+    .meta { color: #666; }
+    ul.counts { list-style: none; padding: 0; display: flex; gap: 1.5rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    th, td { border: 1px solid #ddd; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; position: sticky; top: 0; }
+    tr:nth-child(even) td { background: #fafafa; }
+    .status { padding: 0.1rem 0.4rem; border-radius: 3px; background: #eee; white-space: nowrap; }
+    .status.success { background: #d4edda; }
+    .status.failed, .status.verify-failed { background: #f8d7da; }
+    .status.skipped { background: #fff3cd; }
+    .status.no-source-art { background: #e2d9f3; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Generated ${escapeHtml(report.generatedAt)} &middot; Podcasts: ${escapeHtml(report.podcasts.join(', '))} &middot; ${report.episodes.length} episode(s)${report.dryRunEpisodes > 0 ? ` &middot; ${report.dryRunEpisodes} from a dry run (nothing uploaded)` : ''}</p>
+  <ul class="counts">
+    ${counts}
+  </ul>
+  <table>
+    <thead>
+      <tr>${headings}</tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+  }
+}
+
+RunReport.FORMATS = FORMATS;
+RunReport.SCOPES = SCOPES;
+
+module.exports = RunReport;
@@ -0,0 +1,429 @@
+/**
+ * Single persistent state store for run metadata, resume cursors, episode records, backups and run history
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const { Low } = require('lowdb');
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../utils/config');
+const PodcastState = require('./podcastState');
+const AtomicJSONFile = require('../utils/atomicJsonFile');
+
+const STATE_VERSION = 2;
+
+// How a run ended; 'running' until it does. A run still 'running' when the next one
+// starts was cut short (crash, forced exit) and is marked 'abandoned'.
+const RUN_STATUSES = ['running', 'completed', 'stopped', 'failed', 'abandoned'];
+
+/**
+ * Create empty state
+ * @returns {Object} State with no podcasts, backups or runs
+ */
+function emptyState() {
+  return {
+    version: STATE_VERSION,
+    podcasts: {},
+    backups: [],
+    runs: []
+  };
+}
+
+class StateStore {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [paths] - File locations (defaults from config.processing)
+   * @param {string} [paths.stateFile] - State file
+   * @param {string} [paths.legacyProgressFile] - progress.json to migrate from
+   * @param {string} [paths.legacyEpisodesFile] - episodes.json to migrate from
+   */
+  constructor(logger, paths = {}) {
+    this.logger = logger;
+    this.stateFile = paths.stateFile || config.processing.stateFile;
+    this.legacyProgressFile = paths.legacyProgressFile || config.processing.legacyProgressFile;
+    this.legacyEpisodesFile = paths.legacyEpisodesFile || config.processing.legacyEpisodesFile;
+    this.db = null;
+    this.readOnly = false;
+    this.podcastStates = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load state from disk, migrating progress.json and episodes.json on first use.
+   * Read-only loads (for commands that only report) never write: they don't take the
+   * run lock, so migrations, upgrades and recovery are done in memory only and left
+   * to the next run.
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.readOnly=false] - Never create, migrate, upgrade or save files
+   * @returns {Promise<void>}
+   */
+  async initialize({ readOnly = false } = {}) {
+    try {
+      this.readOnly = readOnly;
+      if (!readOnly) {
+        await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      }
+
+      const exists = await fs.access(this.stateFile).then(() => true, () => false);
+
+      this.db = new Low(new AtomicJSONFile(this.stateFile, this.logger, { readOnly }), emptyState());
+      if (exists) {
+        await this.db.read();
+        if (this.db.data.version === 1) {
+          this.db.data = this.upgradeFromVersion1(this.db.data);
+          if (!readOnly) {
+            await this.save();
+          }
+        }
+      } else {
+        this.db.data = await this.migrateLegacyFiles(readOnly);
+        if (!readOnly) {
+          await this.save();
+        }
+      }
+
+      // State saved before run history was kept
+      if (!Array.isArray(this.db.data.runs)) {
+        this.db.data.runs = [];
+      }
+
+      const recordCount = Object.values(this.db.data.podcasts)
+        .reduce((count, section) => count + Object.keys(section.episodes).length, 0);
+      this.logger.verbose(`State store initialized at ${this.stateFile}`);
+      this.logger.verbose(`Loaded ${recordCount} existing episode records for ${this.getPodcastIds().length} podcast(s)`);
+    } catch (error) {
+      this.logger.error('Failed to initialize state store', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build state from the legacy progress.json and episodes.json files, if present.
+   * The legacy files are renamed with a .migrated suffix afterwards.
+   * @param {boolean} [readOnly=false] - Leave the legacy files in place
+   * @returns {Promise<Object>} Migrated (or empty) state
+   */
+  async migrateLegacyFiles(readOnly = false) {
+    const state = emptyState();
+    const progress = await this.readLegacyFile(this.legacyProgressFile);
+    const episodeDb = await this.readLegacyFile(this.legacyEpisodesFile);
+
+    if (!progress && !episodeDb) {
+      return state;
+    }
+
+    // Legacy files only ever held one podcast
+    const podcastId = (progress && progress.metadata && progress.metadata.podcastId) || config.station.podcastId;
+    const section = PodcastState.emptySection();
+    state.podcasts[podcastId] = section;
+
+    // episodes.json records carry titles; progress.json may hold a newer result
+    for (const record of (episodeDb && episodeDb.episodes) || []) {
+      section.episodes[record.episodeId] = PodcastState.upgradeRecord(record);
+    }
+
+    for (const [episodeId, record] of Object.entries((progress && progress.episodes) || {})) {
+      const existing = section.episodes[episodeId];
+      if (existing && existing.processedAt >= record.processedAt) {
+        continue;
+      }
+      section.episodes[episodeId] = PodcastState.upgradeRecord({
+        episodeId,
+        title: existing ? existing.title : null,
+        ...record,
+        updatedAt: record.processedAt
+      });
+    }
+
+    if (progress && progress.metadata) {
+      // Page-based resume positions can't be carried over; the next run takes a snapshot
+      // and episodes already recorded are passed over. The stored counters are kept for
+      // --repair-state to check against the records.
+      const { currentPage, ...metadata } = progress.metadata;
+      section.metadata = metadata;
+    }
+
+    state.backups = (episodeDb && episodeDb.backups) || [];
+
+    if (readOnly) {
+      this.logger.verbose(`Read ${Object.keys(section.episodes).length} episode records from progress.json and episodes.json; the next run migrates them`);
+      return state;
+    }
+
+    for (const file of [this.legacyProgressFile, this.legacyEpisodesFile]) {
+      await fs.rename(file, `${file}.migrated`).catch(() => {});
+    }
+
+    this.logger.info(`Migrated ${Object.keys(section.episodes).length} episode records from progress.json and episodes.json`);
+    return state;
+  }
+
+  /**
+   * Move single-podcast state into a per-podcast section
+   * @param {Object} data - Version 1 state
+   * @returns {Object} Version 2 state
+   */
+  upgradeFromVersion1(data) {
+    const state = emptyState();
+    state.backups = data.backups || [];
+
+    if (data.metadata || Object.keys(data.episodes || {}).length > 0) {
+      const podcastId = (data.metadata && data.metadata.podcastId) || config.station.podcastId;
+      state.podcasts[podcastId] = {
+        metadata: data.metadata || null,
+        cursor: data.cursor || PodcastState.emptySection().cursor,
+        episodes: data.episodes || {}
+      };
+      this.logger.verbose(`Moved state into a section for podcast ${podcastId}`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Read a legacy JSON file
+   * @param {string} file - File path
+   * @returns {Promise<Object|null>} Parsed contents or null if the file doesn't exist
+   */
+  async readLegacyFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Could not migrate ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save state to file. Writes are queued so concurrent episode workers never
+   * write at the same time; each write captures the latest state.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.db) {
+      throw new Error('State store not initialized');
+    }
+    if (this.readOnly) {
+      throw new Error(`State store ${this.stateFile} was opened read-only`);
+    }
+
+    const write = this.writeQueue.then(() => this.db.write());
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Wait for queued writes to finish
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Get the state of one podcast, creating an empty section if it has none yet
+   * @param {string} podcastId - Podcast ID
+   * @returns {PodcastState} The podcast's state
+   */
+  forPodcast(podcastId) {
+    if (!this.db) {
+      throw new Error('State store not initialized');
+    }
+
+    if (!this.podcastStates.has(podcastId)) {
+      if (!this.db.data.podcasts[podcastId]) {
+        this.db.data.podcasts[podcastId] = PodcastState.emptySection();
+      }
+      this.podcastStates.set(podcastId, new PodcastState(this, podcastId, this.db.data.podcasts[podcastId], this.logger));
+    }
+
+    return this.podcastStates.get(podcastId);
+  }
+
+  /**
+   * Get a podcast's state for a dry run. Episode records are shared with the podcast's
+   * state, so dry-run results are saved with them, but the run metadata and resume cursor
+   * are the dry run's own and are never saved: a dry run can't move a real run's resume
+   * position or mark it complete.
+   * @param {string} podcastId - Podcast ID
+   * @returns {PodcastState} State for the dry run
+   */
+  forDryRun(podcastId) {
+    const section = this.forPodcast(podcastId).section;
+    return new PodcastState(this, podcastId, { ...PodcastState.emptySection(), episodes: section.episodes }, this.logger);
+  }
+
+  /**
+   * List the podcasts that have state
+   * @returns {Array<string>} Podcast IDs
+   */
+  getPodcastIds() {
+    return this.db ? Object.keys(this.db.data.podcasts) : [];
+  }
+
+  /**
+   * Repair every podcast's state (see PodcastState.repair) and save the result
+   * @returns {Promise<Array<string>>} Description of each fix made, prefixed with the podcast ID
+   */
+  async repair() {
+    const fixes = [];
+    for (const podcastId of this.getPodcastIds()) {
+      const podcastFixes = this.forPodcast(podcastId).repair();
+      fixes.push(...podcastFixes.map(fix => `${podcastId}: ${fix}`));
+    }
+
+    await this.save();
+    return fixes;
+  }
+
+  /**
+   * Record the artwork backup taken before an episode or podcast cover was overwritten
+   * @param {Object} backup - Backup record (see ArtworkBackup.backupEpisode and backupPodcast)
+   * @returns {Promise<void>}
+   */
+  async addBackup(backup) {
+    // Keep only the first backup per episode or podcast cover in a run; it holds the true original
+    const exists = this.db.data.backups.some(b => b.runId === backup.runId &&
+      b.episodeId === backup.episodeId && (b.episodeId !== null || b.podcastId === backup.podcastId));
+    if (exists) {
+      return;
+    }
+
+    this.db.data.backups.push({
+      ...backup,
+      createdAt: new Date().toISOString()
+    });
+    await this.save();
+  }
+
+  /**
+   * Record the start of a run. Earlier runs still marked as running never
+   * finished (only one run holds the data directory lock) and are marked abandoned.
+   * @param {Object} run - Run details
+   * @param {string} run.runId - Run ID
+   * @param {number} run.stationId - Station ID
+   * @param {Array<Object>} run.podcasts - Podcasts the run covers ({ id, title })
+   * @param {Object} run.options - Options that shape the run (dry run, force, batch size, ...)
+   * @param {string} [run.profile] - Active profile
+   * @returns {Promise<Object>} The run record
+   */
+  async startRun({ runId, stationId, podcasts, options, profile = null }) {
+    for (const earlier of this.db.data.runs) {
+      if (earlier.status === 'running') {
+        earlier.status = 'abandoned';
+        this.logger.verbose(`Run ${earlier.runId} never finished; marked as abandoned`);
+      }
+    }
+
+    const record = {
+      runId,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      error: null,
+      profile,
+      stationId,
+      options,
+      podcasts: podcasts.map(podcast => ({
+        id: String(podcast.id),
+        title: podcast.title || null,
+        counts: PodcastState.emptyCounts()
+      })),
+      counts: PodcastState.emptyCounts()
+    };
+    this.db.data.runs.push(record);
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Count an episode result towards a run. Saved with the episode record.
+   * @param {string} runId - Run ID
+   * @param {string} podcastId - Podcast ID
+   * @param {string} status - Episode status
+   */
+  countRunEpisode(runId, podcastId, status) {
+    const run = this.getRun(runId);
+    if (!run) {
+      return;
+    }
+
+    let podcast = run.podcasts.find(p => p.id === String(podcastId));
+    if (!podcast) {
+      podcast = { id: String(podcastId), title: null, counts: PodcastState.emptyCounts() };
+      run.podcasts.push(podcast);
+    }
+
+    PodcastState.countStatus(podcast.counts, status);
+    PodcastState.countStatus(run.counts, status);
+  }
+
+  /**
+   * Record how a run ended
+   * @param {string} runId - Run ID
+   * @param {string} status - 'completed', 'stopped' or 'failed'
+   * @param {string} [error] - Why the run failed
+   * @returns {Promise<void>}
+   */
+  async finishRun(runId, status, error = null) {
+    if (!RUN_STATUSES.includes(status)) {
+      throw new Error(`Invalid run status "${status}"`);
+    }
+
+    const run = this.getRun(runId);
+    if (!run) {
+      return;
+    }
+
+    run.status = status;
+    run.endedAt = new Date().toISOString();
+    run.error = error;
+    await this.save();
+  }
+
+  /**
+   * Get a run record
+   * @param {string} runId - Run ID
+   * @returns {Object|null} Run record or null if not found
+   */
+  getRun(runId) {
+    if (!this.db) {
+      return null;
+    }
+
+    return this.db.data.runs.find(run => run.runId === runId) || null;
+  }
+
+  /**
+   * Get recorded runs, newest first
+   * @param {number} [limit] - Maximum number of runs
+   * @returns {Array} Run records
+   */
+  getRuns(limit = Infinity) {
+    if (!this.db) {
+      return [];
+    }
+
+    return this.db.data.runs.slice().reverse().slice(0, limit);
+  }
+
+  /**
+   * Get the artwork backups taken during a run
+   * @param {string} runId - Run ID
+   * @returns {Array} Array of backup records
+   */
+  getBackupsForRun(runId) {
+    if (!this.db) {
+      return [];
+    }
+
+    return this.db.data.backups.filter(b => b.runId === runId);
+  }
+}
+
+StateStore.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = StateStore;
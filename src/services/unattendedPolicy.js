@@ -0,0 +1,75 @@
+/**
+ * Unattended run policy that answers batch and episode prompts without user input
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const PAGE_ERROR_ACTIONS = ['stop', 'skip'];
+
+class UnattendedPolicy {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Policy options
+   * @param {number} options.batchSize - Fixed number of episodes per batch
+   * @param {string} [options.onPageError='stop'] - 'stop' to end the run or 'skip' to move on to the next page
+   */
+  constructor(logger, { batchSize, onPageError = 'stop' } = {}) {
+    if (!PAGE_ERROR_ACTIONS.includes(onPageError)) {
+      throw new Error(`Invalid page error action "${onPageError}". Use one of: ${PAGE_ERROR_ACTIONS.join(', ')}`);
+    }
+
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error('Batch size must be a positive integer');
+    }
+
+    this.logger = logger;
+    this.batchSize = batchSize;
+    this.onPageError = onPageError;
+    this.stoppedOnError = false;
+    this.stopReason = null;
+  }
+
+  /**
+   * Answer the batch continuation callback used by PodcastService.processAllEpisodes
+   * @param {Object} batchInfo - Batch completion information
+   * @returns {Promise<Object>} Object with continue flag and batch size
+   */
+  async onBatchComplete(batchInfo) {
+    if (batchInfo.preProcess) {
+      this.logger.info(`Unattended run starting at page ${batchInfo.page}/${batchInfo.totalPages} with batch size ${this.batchSize}`);
+      return { continue: true, newBatchSize: this.batchSize };
+    }
+
+    if (batchInfo.error) {
+      if (this.onPageError === 'skip') {
+        this.logger.warning(`Skipping page ${batchInfo.page} after error: ${batchInfo.error}`);
+        return { continue: true, newBatchSize: this.batchSize };
+      }
+
+      this.stopReason = `Stopped after error on page ${batchInfo.page}: ${batchInfo.error}`;
+      this.logger.error(this.stopReason);
+      this.stoppedOnError = true;
+      return { continue: false };
+    }
+
+    if (batchInfo.totalResults) {
+      this.logger.verbose(`Running total: ${batchInfo.totalResults.success} success, ${batchInfo.totalResults.failed} failed, ${batchInfo.totalResults.skipped} skipped`);
+    }
+
+    return { continue: true, newBatchSize: this.batchSize };
+  }
+
+  /**
+   * Answer the episode confirmation prompt used by --search-title
+   * @param {Object} episode - Episode object
+   * @returns {Promise<boolean>} Always true; every matching episode is processed
+   */
+  async confirmEpisode(episode) {
+    this.logger.info(`Processing matched episode "${episode.title}" (ID: ${episode.id})`);
+    return true;
+  }
+}
+
+UnattendedPolicy.PAGE_ERROR_ACTIONS = PAGE_ERROR_ACTIONS;
+
+module.exports = UnattendedPolicy;
@@ -0,0 +1,111 @@
+/**
+ * lowdb adapter that writes JSON atomically and recovers from a last good copy
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const fs = require('fs').promises;
+
+class AtomicJSONFile {
+  /**
+   * @param {string} filePath - JSON file
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options] - Adapter options
+   * @param {boolean} [options.readOnly=false] - Never write: a corrupt file is read from the last
+   *   good copy but left in place, and write() throws
+   */
+  constructor(filePath, logger, { readOnly = false } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.readOnly = readOnly;
+    this.tempFile = `${filePath}.tmp`;
+    this.backupFile = `${filePath}.bak`;
+
+    // Whether the file on disk was read or written successfully, so it can become the backup
+    this.isGood = false;
+  }
+
+  /**
+   * Read the file. If it can't be parsed (a write cut short by a crash), the last good
+   * copy is restored in its place and the damaged file is kept alongside for inspection.
+   * @returns {Promise<Object|null>} Parsed contents or null if the file doesn't exist
+   */
+  async read() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const data = JSON.parse(text);
+      this.isGood = true;
+      return data;
+    } catch (error) {
+      const backup = await this.readBackup();
+      if (!backup) {
+        throw new Error(`${this.filePath} is corrupt (${error.message}) and there is no usable backup at ${this.backupFile}`);
+      }
+
+      if (this.readOnly) {
+        this.logger.warning(`${this.filePath} is corrupt (${error.message}); showing the last good copy from ${this.backupFile}. The next run will recover it`);
+        return backup;
+      }
+
+      const corruptFile = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.rename(this.filePath, corruptFile);
+      this.isGood = false;
+      await this.write(backup);
+
+      this.logger.warning(`${this.filePath} was corrupt (${error.message}); recovered the last good copy from ${this.backupFile}. The damaged file was kept as ${corruptFile}`);
+      return backup;
+    }
+  }
+
+  /**
+   * Read the last good copy
+   * @returns {Promise<Object|null>} Parsed backup or null if it is missing or unreadable
+   */
+  async readBackup() {
+    try {
+      return JSON.parse(await fs.readFile(this.backupFile, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write to a temporary file, flush it to disk and rename it over the file, so the file
+   * always holds either the old or the new contents. The copy being replaced is kept as
+   * the backup first.
+   * @param {Object} data - Data to write
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    if (this.readOnly) {
+      throw new Error(`${this.filePath} was opened read-only`);
+    }
+
+    const handle = await fs.open(this.tempFile, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (this.isGood) {
+      await fs.copyFile(this.filePath, `${this.backupFile}.tmp`);
+      await fs.rename(`${this.backupFile}.tmp`, this.backupFile);
+    }
+
+    await fs.rename(this.tempFile, this.filePath);
+    this.isGood = true;
+  }
+}
+
+module.exports = AtomicJSONFile;
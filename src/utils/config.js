@@ -7,14 +7,38 @@
 // Load environment variables
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+
 const config = {
   // API Configuration
   api: {
     baseUrl: process.env.AZURACAST_URL ? `${process.env.AZURACAST_URL}/api` : null,
     key: process.env.API_KEY,
     timeout: 30000, // 30 seconds
-    retryAttempts: 3,
-    retryDelay: 1000 // 1 second base delay
+
+    // Retry policies chosen per call site. Only transient failures (network
+    // errors, timeouts and the listed statuses) are retried; Retry-After is honored.
+    retryPolicies: {
+      // GET requests are safe to repeat
+      read: {
+        attempts: process.env.API_RETRY_ATTEMPTS ? parseInt(process.env.API_RETRY_ATTEMPTS) : 3,
+        baseDelay: process.env.API_RETRY_DELAY ? parseInt(process.env.API_RETRY_DELAY) : 1000, // 1 second base delay
+        maxDelay: 30000,
+        maxRetryAfter: 120000,
+        jitter: 0.5, // Fraction of the backoff that is randomized
+        retryStatuses: [408, 429, 500, 502, 503, 504]
+      },
+      // Artwork upload POST; a 500 usually means the image itself was rejected
+      upload: {
+        attempts: process.env.API_UPLOAD_RETRY_ATTEMPTS ? parseInt(process.env.API_UPLOAD_RETRY_ATTEMPTS) : 2,
+        baseDelay: process.env.API_RETRY_DELAY ? parseInt(process.env.API_RETRY_DELAY) * 2 : 2000,
+        maxDelay: 60000,
+        maxRetryAfter: 120000,
+        jitter: 0.5,
+        retryStatuses: [408, 429, 502, 503, 504]
+      }
+    }
   },
 
   // Station Configuration
@@ -27,9 +51,55 @@ const config = {
   // Processing Configuration
   processing: {
     defaultBatchSize: process.env.DEFAULT_BATCH_SIZE ? parseInt(process.env.DEFAULT_BATCH_SIZE) : 50,
-    progressFile: './data/progress.json',
+    dataDir: './data', // Namespaced per profile by applyProfile()
+    stateFile: './data/state.json', // Run progress and episode records
+    lockFile: './data/run.lock', // Held by the run using the data directory
+    catalogFile: './data/catalog.json', // Episode metadata mirrored by sync-catalog
+    legacyProgressFile: './data/progress.json', // Migrated into stateFile on first run
+    legacyEpisodesFile: './data/episodes.json',
+    backupDir: './data/backups', // Original episode art, one subdirectory per run
     tempDir: './temp',
-    maxConcurrent: 3 // Max concurrent downloads
+    maxEpisodeAttempts: process.env.MAX_EPISODE_ATTEMPTS ? parseInt(process.env.MAX_EPISODE_ATTEMPTS) : 0, // Attempts kept per episode record; 0 keeps all
+    maxConcurrent: process.env.MAX_CONCURRENT ? parseInt(process.env.MAX_CONCURRENT) : 3, // Episodes processed in parallel per batch
+    shutdownGracePeriod: process.env.SHUTDOWN_GRACE_PERIOD ? parseInt(process.env.SHUTDOWN_GRACE_PERIOD) : 30000 // In-flight requests get 30 seconds after Ctrl+C
+  },
+
+  // Artwork normalization (Apple Podcasts and Spotify: square, 1400-3000 px, RGB)
+  artwork: {
+    normalize: process.env.ARTWORK_NORMALIZE !== 'false',
+    minSize: 1400,
+    maxSize: 3000,
+    targetSize: process.env.ARTWORK_TARGET_SIZE ? parseInt(process.env.ARTWORK_TARGET_SIZE) : 3000,
+    squareMode: process.env.ARTWORK_SQUARE_MODE || 'pad', // 'pad' or 'crop'
+    padColor: process.env.ARTWORK_PAD_COLOR || '#000000',
+    maxBytes: process.env.ARTWORK_MAX_BYTES ? parseInt(process.env.ARTWORK_MAX_BYTES) : 1024 * 1024, // 1 MB
+    quality: 90,
+    minQuality: 60,
+
+    // Generic album art AzuraCast serves when a media file has no embedded art
+    placeholder: {
+      urlPatterns: process.env.PLACEHOLDER_URL_PATTERNS
+        ? process.env.PLACEHOLDER_URL_PATTERNS.split(',').map(p => p.trim()).filter(Boolean)
+        : ['/static/img/generic_song', '/album_art'],
+      hashes: process.env.PLACEHOLDER_HASHES
+        ? process.env.PLACEHOLDER_HASHES.split(',').map(h => h.trim()).filter(Boolean)
+        : [],
+      probeStationDefault: process.env.PLACEHOLDER_PROBE !== 'false' // Learn the station default art's hash at startup
+    }
+  },
+
+  // Logging Configuration
+  logging: {
+    format: process.env.LOG_FORMAT || 'text', // 'text' or 'json' (one JSON object per event)
+    file: process.env.LOG_FILE || null, // Also append events to this file
+    maxFileSize: process.env.LOG_MAX_SIZE ? parseInt(process.env.LOG_MAX_SIZE) : 10 * 1024 * 1024, // Rotate after 10 MB
+    maxFiles: process.env.LOG_MAX_FILES ? parseInt(process.env.LOG_MAX_FILES) : 5 // Rotated files kept (app.log.1 ... app.log.5)
+  },
+
+  // Named profiles for several AzuraCast instances, selected with --profile
+  profiles: {
+    file: process.env.PROFILES_FILE || './profiles.json',
+    active: null
   },
 
   // CLI Configuration
@@ -85,8 +155,82 @@ function isConfigured() {
   return !!(config.api.key && config.api.baseUrl && config.station.id && config.station.podcastId);
 }
 
+/**
+ * Read the profiles file
+ * @param {string} [file=config.profiles.file] - Profiles file path
+ * @returns {Object} Profiles keyed by name (empty if the file doesn't exist)
+ */
+function loadProfiles(file = config.profiles.file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content).profiles || {};
+  } catch (error) {
+    throw new Error(`Profiles file ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a profile name is safe to use as a directory name
+ * @param {string} name - Profile name
+ * @throws {Error} If the name is invalid
+ */
+function validateProfileName(name) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid profile name "${name}". Use letters, digits, "-" and "_".`);
+  }
+}
+
+/**
+ * Point the configuration at a named profile: its AzuraCast instance, station and
+ * podcast replace the .env values, and data is kept under data/profiles/<name>
+ * @param {string} name - Profile name
+ * @throws {Error} If the profile doesn't exist
+ */
+function applyProfile(name) {
+  validateProfileName(name);
+
+  const profiles = loadProfiles();
+  const profile = profiles[name];
+  if (!profile) {
+    const available = Object.keys(profiles);
+    throw new Error(`Profile "${name}" not found in ${config.profiles.file}` +
+      (available.length > 0 ? `. Available profiles: ${available.join(', ')}` : '. Run --initialize --profile <name> to create it.'));
+  }
+
+  config.api.baseUrl = profile.azuracastUrl ? `${profile.azuracastUrl}/api` : null;
+  config.api.key = profile.apiKey || null;
+  config.station.id = profile.stationId ? parseInt(profile.stationId) : null;
+  config.station.podcastId = profile.podcastId ? String(profile.podcastId) : null;
+  if (profile.defaultBatchSize) {
+    config.processing.defaultBatchSize = parseInt(profile.defaultBatchSize);
+  }
+
+  const dataDir = path.join(config.processing.dataDir, 'profiles', name);
+  config.processing.dataDir = dataDir;
+  config.processing.stateFile = path.join(dataDir, 'state.json');
+  config.processing.lockFile = path.join(dataDir, 'run.lock');
+  config.processing.catalogFile = path.join(dataDir, 'catalog.json');
+  config.processing.legacyProgressFile = path.join(dataDir, 'progress.json');
+  config.processing.legacyEpisodesFile = path.join(dataDir, 'episodes.json');
+  config.processing.backupDir = path.join(dataDir, 'backups');
+
+  config.profiles.active = name;
+}
+
 module.exports = {
   config,
+  loadProfiles,
+  validateProfileName,
+  applyProfile,
   getStationConfig,
   validateConfig,
   isConfigured
@@ -0,0 +1,41 @@
+/**
+ * Classification of recorded episode errors into broad categories
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+// Checked in order; the first matching rule wins
+const CATEGORY_RULES = [
+  { category: 'no-media', pattern: /no playlist_media_id/i },
+  { category: 'no-artwork', pattern: /no artwork data/i },
+  { category: 'invalid-image', pattern: /not a recognized image|unsupported image format|could not be encoded/i },
+  { category: 'verify', pattern: /served art|uploaded art not found|redirects to fallback|does not return an image/i },
+  { category: 'auth', pattern: /status code 40[13]\b/i },
+  { category: 'not-found', pattern: /status code 404\b/i },
+  { category: 'too-large', pattern: /status code 413\b/i },
+  { category: 'rate-limit', pattern: /status code 429\b/i },
+  { category: 'server', pattern: /status code 5\d\d\b/i },
+  { category: 'network', pattern: /ECONN|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|EHOSTUNREACH|ENETUNREACH|socket hang up|timeout of \d+ms|network error/i },
+  { category: 'upload', pattern: /upload failed/i }
+];
+
+const ERROR_CATEGORIES = [...CATEGORY_RULES.map(rule => rule.category), 'other'];
+
+/**
+ * Work out the category of a recorded error message
+ * @param {string|null} message - Error message stored with the episode
+ * @returns {string|null} Category name, or null if there is no error
+ */
+function categorizeError(message) {
+  if (!message) {
+    return null;
+  }
+
+  const rule = CATEGORY_RULES.find(r => r.pattern.test(message));
+  return rule ? rule.category : 'other';
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  categorizeError
+};
@@ -0,0 +1,132 @@
+/**
+ * Image format detection and conversion for artwork uploads
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const FORMATS = {
+  jpeg: { format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { format: 'png', mimeType: 'image/png', extension: 'png' },
+  gif: { format: 'gif', mimeType: 'image/gif', extension: 'gif' },
+  webp: { format: 'webp', mimeType: 'image/webp', extension: 'webp' },
+  bmp: { format: 'bmp', mimeType: 'image/bmp', extension: 'bmp' },
+  tiff: { format: 'tiff', mimeType: 'image/tiff', extension: 'tiff' },
+  avif: { format: 'avif', mimeType: 'image/avif', extension: 'avif' },
+  heif: { format: 'heif', mimeType: 'image/heif', extension: 'heic' }
+};
+
+// Formats AzuraCast and the podcast directories accept as-is
+const UPLOADABLE_FORMATS = ['jpeg', 'png'];
+
+/**
+ * Check whether a buffer starts with the given bytes at an offset
+ * @param {Buffer} buffer - Data to check
+ * @param {Array<number>|string} signature - Bytes or ASCII text to match
+ * @param {number} [offset=0] - Offset to start matching at
+ * @returns {boolean} True if the signature matches
+ */
+function hasSignature(buffer, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'ascii') : Buffer.from(signature);
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * Detect an image format from its magic bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {Object|null} Format info ({ format, mimeType, extension }) or null if not a recognized image
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (hasSignature(buffer, [0xFF, 0xD8, 0xFF])) {
+    return FORMATS.jpeg;
+  }
+  if (hasSignature(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    return FORMATS.png;
+  }
+  if (hasSignature(buffer, 'GIF87a') || hasSignature(buffer, 'GIF89a')) {
+    return FORMATS.gif;
+  }
+  if (hasSignature(buffer, 'RIFF') && hasSignature(buffer, 'WEBP', 8)) {
+    return FORMATS.webp;
+  }
+  if (hasSignature(buffer, 'BM')) {
+    return FORMATS.bmp;
+  }
+  if (hasSignature(buffer, [0x49, 0x49, 0x2A, 0x00]) || hasSignature(buffer, [0x4D, 0x4D, 0x00, 0x2A])) {
+    return FORMATS.tiff;
+  }
+  if (hasSignature(buffer, 'ftyp', 4)) {
+    const brand = buffer.subarray(8, 12).toString('ascii');
+    if (brand === 'avif' || brand === 'avis') {
+      return FORMATS.avif;
+    }
+    if (['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(brand)) {
+      return FORMATS.heif;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a detected format can be uploaded without conversion
+ * @param {Object} formatInfo - Result of detectImageFormat
+ * @returns {boolean} True for JPEG and PNG
+ */
+function isUploadableFormat(formatInfo) {
+  return !!formatInfo && UPLOADABLE_FORMATS.includes(formatInfo.format);
+}
+
+/**
+ * Convert artwork to JPEG, or to PNG when it has transparency
+ * @param {Buffer} buffer - Image data in any format sharp can decode
+ * @returns {Promise<Object>} Converted image as { buffer, formatInfo }
+ */
+async function convertToUploadableFormat(buffer) {
+  // Animated GIF/WebP: only the first frame is used
+  const image = sharp(buffer, { animated: false });
+  const metadata = await image.metadata();
+
+  if (metadata.hasAlpha) {
+    return { buffer: await image.png().toBuffer(), formatInfo: FORMATS.png };
+  }
+  return { buffer: await image.jpeg({ quality: 90 }).toBuffer(), formatInfo: FORMATS.jpeg };
+}
+
+/**
+ * Read an image's pixel dimensions
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<Object>} { width, height }
+ */
+async function getImageDimensions(buffer) {
+  const metadata = await sharp(buffer, { animated: false }).metadata();
+  return { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Hash image data for comparisons and placeholder lists
+ * @param {Buffer} buffer - Image data
+ * @returns {string} SHA-256 hex digest
+ */
+function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+  FORMATS,
+  UPLOADABLE_FORMATS,
+  detectImageFormat,
+  isUploadableFormat,
+  convertToUploadableFormat,
+  getImageDimensions,
+  hashImage
+};
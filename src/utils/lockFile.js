@@ -0,0 +1,114 @@
+/**
+ * Lock file that keeps two runs from using the same data directory
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class LockFile {
+  /**
+   * @param {string} filePath - Lock file path
+   * @param {Object} logger - Logger instance
+   */
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.held = false;
+    this.releaseOnExit = () => this.release();
+  }
+
+  /**
+   * Take the lock, replacing it if the process that holds it is no longer running.
+   * The lock is released when the process exits.
+   * @throws {Error} If another running process holds the lock
+   */
+  acquire() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const owner = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString(),
+      command: process.argv.slice(2).join(' ')
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.filePath, JSON.stringify(owner, null, 2) + '\n', { encoding: 'utf8', flag: 'wx' });
+        this.held = true;
+        process.on('exit', this.releaseOnExit);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const holder = this.readHolder();
+      if (holder && this.isRunning(holder)) {
+        throw new Error(`Another run (PID ${holder.pid} on ${holder.hostname}, started ${holder.startedAt}) is using ${path.dirname(this.filePath)}. ` +
+          `If that process is no longer running, delete ${this.filePath}.`);
+      }
+
+      this.logger.warning(`Removing stale lock ${this.filePath}` + (holder ? ` left by PID ${holder.pid}, which is no longer running` : ''));
+      fs.rmSync(this.filePath, { force: true });
+    }
+
+    throw new Error(`Could not lock ${this.filePath}; another run may have just started`);
+  }
+
+  /**
+   * Read who holds the lock
+   * @returns {Object|null} Lock owner or null if the lock file is unreadable
+   */
+  readHolder() {
+    try {
+      const holder = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Number.isInteger(holder.pid) ? holder : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the lock owner is still running. Processes on other hosts
+   * (a shared data directory) can't be checked and are assumed to be running.
+   * @param {Object} holder - Lock owner
+   * @returns {boolean} True if the owner may still be running
+   */
+  isRunning(holder) {
+    if (holder.hostname !== os.hostname()) {
+      return true;
+    }
+    if (holder.pid === process.pid) {
+      // Left by an earlier process that happened to have our PID
+      return false;
+    }
+
+    try {
+      process.kill(holder.pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Release the lock if this process holds it
+   */
+  release() {
+    if (!this.held) {
+      return;
+    }
+
+    fs.rmSync(this.filePath, { force: true });
+    this.held = false;
+    process.removeListener('exit', this.releaseOnExit);
+  }
+}
+
+module.exports = LockFile;
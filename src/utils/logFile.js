@@ -0,0 +1,70 @@
+/**
+ * Append-only log file with size-based rotation
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LogFile {
+  /**
+   * @param {string} filePath - Log file path
+   * @param {Object} [options] - Rotation options
+   * @param {number} [options.maxSize=10485760] - Rotate once the file would grow past this many bytes
+   * @param {number} [options.maxFiles=5] - Rotated files to keep (file.1 is the newest)
+   * @throws {Error} If the file or its directory can't be created or written
+   */
+  constructor(filePath, { maxSize = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+
+    // Fail now rather than on the first log line if the file can't be written
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.closeSync(fs.openSync(filePath, 'a'));
+    } catch (error) {
+      throw new Error(`Cannot write log file ${filePath}: ${error.message}`);
+    }
+    this.size = fs.statSync(filePath).size;
+  }
+
+  /**
+   * Append a line, rotating first if it would take the file past its size limit.
+   * Writes are synchronous so lines logged just before the process exits are kept.
+   * @param {string} line - Line to append (without trailing newline)
+   */
+  append(line) {
+    const data = line + '\n';
+    const bytes = Buffer.byteLength(data);
+
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      this.rotate();
+    }
+
+    fs.appendFileSync(this.filePath, data, 'utf8');
+    this.size += bytes;
+  }
+
+  /**
+   * Shift file -> file.1 -> file.2 ..., dropping the oldest beyond maxFiles
+   */
+  rotate() {
+    if (this.maxFiles < 1) {
+      fs.rmSync(this.filePath, { force: true });
+    } else {
+      fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        const from = `${this.filePath}.${index}`;
+        if (fs.existsSync(from)) {
+          fs.renameSync(from, `${this.filePath}.${index + 1}`);
+        }
+      }
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    }
+    this.size = 0;
+  }
+}
+
+module.exports = LogFile;
@@ -1,77 +1,332 @@
 /**
- * Logging utility with colored output
+ * Logging utility with colored text or structured JSON output and an optional log file
  * Copyright (c) JAB Ventures, Inc., 2025
  * Licensed under GPL v2
  */
 
 const chalk = require('chalk');
 const { config } = require('./config');
+const LogFile = require('./logFile');
+
+const FORMATS = ['text', 'json'];
+
+/**
+ * Drop null and undefined values from event fields
+ * @param {Object} fields - Event fields
+ * @returns {Object} Fields that have a value
+ */
+function definedFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== null && value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Format an event as a plain text log file line
+ * @param {Object} event - Log event
+ * @returns {string} Line with timestamp, level, message and any extra fields as key=value
+ */
+function formatTextLine(event) {
+  const { timestamp, level, message, ...fields } = event;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' && !/[\s"]/.test(value) ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${timestamp} ${level.toUpperCase().padEnd(5)} ${message}${extra ? ' ' + extra : ''}`;
+}
+
+/**
+ * Describe episode counts as colored parts, leaving out statuses that rarely occur when zero
+ * @param {Object} counts - Counts by status (see PodcastState.emptyCounts)
+ * @returns {string} Counts joined with commas
+ */
+function formatCounts(counts) {
+  const parts = [
+    chalk.green(`${counts.success} success`),
+    chalk.red(`${counts.failed} failed`),
+    chalk.yellow(`${counts.skipped} skipped`)
+  ];
+  if (counts.noSourceArt) {
+    parts.push(chalk.magenta(`${counts.noSourceArt} no source art`));
+  }
+  if (counts.verifyFailed) {
+    parts.push(chalk.red(`${counts.verifyFailed} verify failed`));
+  }
+  return parts.join(', ');
+}
+
+// Console color for each episode status
+const EPISODE_STATUS_COLORS = {
+  success: chalk.green,
+  failed: chalk.red,
+  'verify-failed': chalk.red,
+  skipped: chalk.yellow,
+  'no-source-art': chalk.magenta
+};
+
+// Console color for each run status
+const RUN_STATUS_COLORS = {
+  running: chalk.cyan,
+  completed: chalk.green,
+  stopped: chalk.yellow,
+  failed: chalk.red,
+  abandoned: chalk.gray
+};
 
 class Logger {
-  constructor(verbose = false) {
+  /**
+   * @param {boolean} [verbose=false] - Log debug events
+   * @param {Object} [options] - Output options (defaults from config.logging)
+   * @param {string} [options.format] - 'text' for colored console output, 'json' for one JSON object per event
+   * @param {string|false} [options.file] - Also append every event to this file, rotating it by size; false for none
+   * @throws {Error} If the format is invalid or the log file can't be written
+   */
+  constructor(verbose = false, options = {}) {
+    const format = options.format || config.logging.format;
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid log format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+
+    const file = options.file === undefined || options.file === null ? config.logging.file : options.file;
+
     this.isVerbose = verbose;
     this.startTime = Date.now();
+    this.format = format;
+    this.context = {};
+    this.logFile = file
+      ? new LogFile(file, { maxSize: config.logging.maxFileSize, maxFiles: config.logging.maxFiles })
+      : null;
+  }
+
+  /**
+   * Write a formatted line to the console
+   * @param {string} text - Text to write
+   * @param {boolean} [isError=false] - Write to stderr instead of stdout
+   */
+  write(text, isError = false) {
+    if (isError) {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+
+  /**
+   * Send an event to the console and the log file. In text format the console
+   * shows the event's colored text; in JSON format it shows the event itself.
+   * @param {Object|null} event - Structured event, or null for console-only decoration
+   * @param {string|null} text - Console text in text format (null to show nothing)
+   * @param {boolean} [isError=false] - Write to stderr instead of stdout
+   */
+  output(event, text, isError = false) {
+    if (this.format === 'json') {
+      if (event) {
+        this.write(JSON.stringify(event), isError);
+      }
+    } else if (text !== null) {
+      this.write(text, isError);
+    }
+
+    if (event && this.logFile) {
+      this.logFile.append(this.format === 'json' ? JSON.stringify(event) : formatTextLine(event));
+    }
+  }
+
+  /**
+   * Log an event
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @param {string} message - Message
+   * @param {Object} [fields] - Structured fields such as episodeId, page or status
+   * @param {string|null} [text] - Colored console text (defaults to the message)
+   */
+  log(level, message, fields = {}, text = message) {
+    if (level === 'debug' && !this.isVerbose) {
+      return;
+    }
+
+    const event = {
+      timestamp: new Date().toISOString(),
+      level,
+      message: String(message).trim(),
+      ...this.context,
+      ...definedFields(fields)
+    };
+    this.output(event, text, level === 'error');
+  }
+
+  /**
+   * Create a logger that adds fields to every event it logs
+   * @param {Object} fields - Fields such as episodeId or page
+   * @returns {Logger} Logger sharing this logger's settings and output
+   */
+  child(fields) {
+    const child = Object.create(this);
+    child.context = { ...this.context, ...definedFields(fields) };
+    return child;
+  }
+
+  /**
+   * Create a logger that holds its lines until flush() is called.
+   * Used by concurrent episode workers so each episode's output stays together.
+   * @returns {Logger} Buffered logger sharing this logger's settings
+   */
+  buffer() {
+    const parent = this;
+    const buffered = Object.create(this);
+    buffered.lines = [];
+    buffered.output = (event, text, isError = false) => {
+      buffered.lines.push({ event, text, isError });
+    };
+    buffered.flush = () => {
+      const lines = buffered.lines;
+      buffered.lines = [];
+      lines.forEach(line => parent.output(line.event, line.text, line.isError));
+    };
+    return buffered;
+  }
+
+  /**
+   * Write out buffered lines (no-op for an unbuffered logger)
+   */
+  flush() {}
+
+  /**
+   * Create a logger that writes every line to stderr, keeping stdout free for
+   * machine-readable output such as --json
+   * @returns {Logger} Logger sharing this logger's settings
+   */
+  toStderr() {
+    const logger = Object.create(this);
+    logger.write = (text) => this.write(text, true);
+    return logger;
+  }
+
+  /**
+   * Ask a question on the terminal
+   * @param {string} question - Question, including any default shown to the user
+   * @param {Object} [fields] - Structured fields logged with the question
+   * @returns {Promise<string|null>} The answer, trimmed, or null if the question was interrupted with Ctrl+C
+   */
+  async ask(question, fields = {}) {
+    const readline = require('readline');
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    // The question is logged as an event; in text format readline shows it instead
+    this.log('info', question, { prompt: true, ...fields }, null);
+
+    return new Promise((resolve) => {
+      // readline catches Ctrl+C while it waits; hand it to the process's signal handling
+      rl.on('SIGINT', () => {
+        rl.close();
+        this.output(null, '');
+        if (process.listenerCount('SIGINT') === 0) {
+          process.exit(130);
+        }
+        process.emit('SIGINT', 'SIGINT');
+        resolve(null);
+      });
+
+      rl.question(this.format === 'json' ? '' : question, (answer) => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
   }
 
   /**
    * Log success message
    * @param {string} message - Message to log
+   * @param {Object} [fields] - Structured fields
    */
-  success(message) {
-    console.log(chalk.green('✅ ' + message));
+  success(message, fields = {}) {
+    this.log('info', message, fields, chalk.green('✅ ' + message));
   }
 
   /**
    * Log error message
    * @param {string} message - Message to log
    * @param {Error} [error] - Optional error object
+   * @param {Object} [fields] - Structured fields
    */
-  error(message, error = null) {
-    console.error(chalk.red('❌ ' + message));
+  error(message, error = null, fields = {}) {
+    let text = chalk.red('❌ ' + message);
     if (error && this.isVerbose) {
-      console.error(chalk.gray(error.stack || error.message));
+      text += '\n' + chalk.gray(error.stack || error.message);
     }
+    this.log('error', message, {
+      ...fields,
+      error: error ? error.message : null,
+      stack: error && this.isVerbose ? error.stack : null
+    }, text);
   }
 
   /**
    * Log warning message
    * @param {string} message - Message to log
+   * @param {Object} [fields] - Structured fields
    */
-  warning(message) {
-    console.log(chalk.yellow('⚠️  ' + message));
+  warning(message, fields = {}) {
+    this.log('warn', message, fields, chalk.yellow('⚠️  ' + message));
   }
 
   /**
    * Log info message
    * @param {string} message - Message to log
+   * @param {Object} [fields] - Structured fields
+   */
+  info(message, fields = {}) {
+    this.log('info', message, fields, chalk.blue('ℹ️  ' + message));
+  }
+
+  /**
+   * Log a message shown on the console as-is, without a symbol or color
+   * @param {string} message - Message to log
+   * @param {Object} [fields] - Structured fields
    */
-  info(message) {
-    console.log(chalk.blue('ℹ️  ' + message));
+  plain(message, fields = {}) {
+    this.log('info', message, fields);
   }
 
   /**
    * Log progress message
    * @param {string} message - Message to log
+   * @param {Object} [fields] - Structured fields
    */
-  progress(message) {
-    console.log(chalk.cyan('🔄 ' + message));
+  progress(message, fields = {}) {
+    this.log('info', message, fields, chalk.cyan('🔄 ' + message));
   }
 
   /**
    * Log verbose message (only if verbose mode is enabled)
    * @param {string} message - Message to log
+   * @param {Object} [fields] - Structured fields
    */
-  verbose(message) {
-    if (this.isVerbose) {
-      console.log(chalk.gray('🔍 ' + message));
-    }
+  verbose(message, fields = {}) {
+    this.log('debug', message, fields, chalk.gray('🔍 ' + message));
   }
 
   /**
-   * Log a separator line
+   * Log a separator line (text format only)
    */
   separator() {
-    console.log(chalk.gray('─'.repeat(60)));
+    this.output(null, chalk.gray('─'.repeat(60)));
+  }
+
+  /**
+   * Log the start of a batch
+   * @param {number} page - Batch number
+   * @param {number} totalPages - Number of batches
+   * @param {number} count - Episodes in the batch
+   */
+  batchStart(page, totalPages, count) {
+    this.log('info', `Processing batch ${page}/${totalPages} (${count} episodes)`, { page, totalPages, episodes: count },
+      chalk.magenta(`📄 Processing batch ${page}/${totalPages} (${count} episodes)`));
   }
 
   /**
@@ -79,46 +334,272 @@ class Logger {
    * @param {Object} stats - Statistics object
    */
   stats(stats) {
-    this.separator();
-    this.info(`Processing Statistics:`);
-    console.log(chalk.white(`  Total Episodes: ${stats.total || 0}`));
-    console.log(chalk.green(`  Successful: ${stats.success || 0}`));
-    console.log(chalk.red(`  Failed: ${stats.failed || 0}`));
-    console.log(chalk.yellow(`  Skipped: ${stats.skipped || 0}`));
+    const elapsed = Date.now() - this.startTime;
+    const minutes = Math.floor(elapsed / 60000);
+    const seconds = Math.floor((elapsed % 60000) / 1000);
+
+    const lines = [
+      chalk.gray('─'.repeat(60)),
+      chalk.blue('ℹ️  Processing Statistics:'),
+      chalk.white(`  Total Episodes: ${stats.total || 0}`),
+      chalk.green(`  Successful: ${stats.success || 0}`),
+      chalk.red(`  Failed: ${stats.failed || 0}`),
+      chalk.yellow(`  Skipped: ${stats.skipped || 0}`)
+    ];
+    
+    if (stats.noSourceArt) {
+      lines.push(chalk.magenta(`  No Source Art: ${stats.noSourceArt}`));
+    }
+    
+    if (stats.verifyFailed) {
+      lines.push(chalk.red(`  Verify Failed: ${stats.verifyFailed}`));
+    }
+    
+    if (stats.passedOver) {
+      lines.push(chalk.gray(`  Already Processed (not counted): ${stats.passedOver}`));
+    }
     
     if (stats.currentPage) {
-      console.log(chalk.cyan(`  Current Page: ${stats.currentPage}`));
+      lines.push(chalk.cyan(`  Current Page: ${stats.currentPage}`));
     }
     
-    const elapsed = Date.now() - this.startTime;
-    const minutes = Math.floor(elapsed / 60000);
-    const seconds = Math.floor((elapsed % 60000) / 1000);
-    console.log(chalk.gray(`  Elapsed Time: ${minutes}m ${seconds}s`));
-    this.separator();
+    lines.push(chalk.gray(`  Elapsed Time: ${minutes}m ${seconds}s`));
+    lines.push(chalk.gray('─'.repeat(60)));
+
+    this.log('info', 'Processing statistics', {
+      stats: {
+        total: stats.total || 0,
+        success: stats.success || 0,
+        failed: stats.failed || 0,
+        skipped: stats.skipped || 0,
+        noSourceArt: stats.noSourceArt || 0,
+        verifyFailed: stats.verifyFailed || 0,
+        passedOver: stats.passedOver || 0
+      },
+      elapsedMs: elapsed
+    }, lines.join('\n'));
   }
 
   /**
-   * Log episode processing result
+   * Log results broken down per podcast, followed by the combined totals
+   * @param {Array<Object>} rows - One { podcast: { id, title }, stats } per podcast
+   */
+  podcastSummary(rows) {
+    this.info(`Results by Podcast:`);
+
+    const totals = { total: 0, success: 0, failed: 0, skipped: 0, noSourceArt: 0, verifyFailed: 0, passedOver: 0 };
+    for (const { podcast, stats } of rows) {
+      const parts = [
+        chalk.green(`${stats.success || 0} success`),
+        chalk.red(`${stats.failed || 0} failed`),
+        chalk.yellow(`${stats.skipped || 0} skipped`)
+      ];
+      if (stats.noSourceArt) {
+        parts.push(chalk.magenta(`${stats.noSourceArt} no source art`));
+      }
+      if (stats.verifyFailed) {
+        parts.push(chalk.red(`${stats.verifyFailed} verify failed`));
+      }
+      this.log('info', `${podcast.title || podcast.id} (${podcast.id}): ${stats.total || 0} episodes`, { podcastId: podcast.id, stats },
+        `  ${chalk.white(podcast.title || podcast.id)} (${podcast.id}): ${stats.total || 0} episodes - ${parts.join(', ')}`);
+
+      for (const key of Object.keys(totals)) {
+        totals[key] += stats[key] || 0;
+      }
+    }
+
+    this.stats(totals);
+  }
+
+  /**
+   * Log a podcast's saved run, resume position, statistics and recent failures
+   * @param {Object} status - Podcast status (see PodcastState.getStatus)
+   */
+  podcastStatus(status) {
+    const { run, cursor, stats, recentFailures } = status;
+    const lines = [chalk.blue(`ℹ️  Podcast ${status.podcastId}`)];
+
+    if (!run) {
+      lines.push(chalk.gray('  Run: none recorded'));
+    } else {
+      const state = run.isComplete ? chalk.green('complete') : chalk.yellow('in progress');
+      lines.push(`  Run: ${state} (station ${run.stationId}, batch size ${run.batchSize})`);
+      lines.push(chalk.gray(`  Started: ${run.startedAt || '-'}`));
+      if (run.firstStartedAt && run.firstStartedAt !== run.startedAt) {
+        lines.push(chalk.gray(`  First run started: ${run.firstStartedAt}`));
+      }
+      lines.push(chalk.gray(`  Last processed: ${run.lastProcessedAt || '-'}`));
+      if (run.completedAt) {
+        lines.push(chalk.gray(`  Completed: ${run.completedAt}`));
+      }
+    }
+
+    if (cursor) {
+      const batch = cursor.batch ? ` (batch ${cursor.batch} of ${cursor.totalBatches})` : '';
+      lines.push(chalk.cyan(`  Position: ${cursor.position} of ${cursor.snapshotSize} episodes in the run's snapshot${batch}`));
+    }
+
+    lines.push(`  Episodes: ${stats.processed} processed of ${stats.total || '?'} - ${formatCounts(stats)}`);
+
+    if (recentFailures.length > 0) {
+      lines.push('  Recent failures:');
+      for (const failure of recentFailures) {
+        const title = failure.title ? ` ${failure.title}` : '';
+        lines.push(chalk.red(`    ${failure.episodeId}${title} [${failure.errorCategory || failure.status}]: ${failure.error || failure.status}`) +
+          chalk.gray(` (${failure.updatedAt || '-'})`));
+      }
+    }
+
+    const { podcastId, ...details } = status;
+    this.log('info', `Status of podcast ${podcastId}`, { podcastId, ...details }, lines.join('\n'));
+  }
+
+  /**
+   * Log a recorded run: how it ended, when, its options and episode counts
+   * @param {Object} run - Run record (see StateStore.startRun)
+   * @param {boolean} [detailed=false] - Also show counts for each podcast
+   */
+  runSummary(run, detailed = false) {
+    const color = RUN_STATUS_COLORS[run.status] || chalk.white;
+    const lines = [chalk.blue(`ℹ️  Run ${run.runId} `) + color(run.status)];
+
+    const ended = run.endedAt ? `, ended ${run.endedAt}` : '';
+    lines.push(chalk.gray(`  Started ${run.startedAt}${ended}`));
+
+    // Podcast art runs change the podcast's cover rather than episodes
+    const options = run.options.podcastArt
+      ? [`podcast art from ${run.options.podcastArt}`]
+      : [`batch size ${run.options.batchSize}`];
+    if (run.options.dryRun) {
+      options.push('dry run');
+    }
+    if (run.options.force) {
+      options.push('force');
+    }
+    if (run.options.resume) {
+      options.push('resume');
+    }
+    if (run.options.retryFailed) {
+      options.push('retry failed');
+    }
+    if (run.options.searchTitle) {
+      options.push(`search "${run.options.searchTitle}"`);
+    }
+    if (run.options.selection) {
+      options.push(run.options.selection);
+    }
+    const profile = run.profile ? `profile ${run.profile}, ` : '';
+    const podcasts = run.podcasts.map(podcast => podcast.id).join(', ') || '-';
+    const podcastLabel = run.podcasts.length === 1 ? 'podcast' : 'podcasts';
+    lines.push(`  ${profile}station ${run.stationId}, ${podcastLabel} ${podcasts}; ${options.join(', ')}`);
+
+    if (!run.options.podcastArt) {
+      lines.push(`  Episodes: ${run.counts.processed} processed - ${formatCounts(run.counts)}`);
+    }
+    if (detailed && run.podcasts.length > 0 && !run.options.podcastArt) {
+      for (const podcast of run.podcasts) {
+        const title = podcast.title ? ` ${podcast.title}` : '';
+        lines.push(`    ${podcast.id}${title}: ${podcast.counts.processed} processed - ${formatCounts(podcast.counts)}`);
+      }
+    }
+    if (run.error) {
+      lines.push(chalk.red(`  Error: ${run.error}`));
+    }
+
+    const { runId, ...details } = run;
+    this.log('info', `Run ${runId} ${run.status}`, { runId, ...details }, lines.join('\n'));
+  }
+
+  /**
+   * Log an episode's latest result and every recorded attempt, oldest first
+   * @param {string} podcastId - Podcast ID
+   * @param {Object} record - Episode record (see PodcastState.recordEpisode)
+   */
+  episodeHistory(podcastId, record) {
+    const color = (status) => EPISODE_STATUS_COLORS[status] || chalk.white;
+    const title = record.title ? ` ${record.title}` : '';
+    const lines = [chalk.blue(`ℹ️  Episode ${record.episodeId}${title} (podcast ${podcastId})`)];
+
+    const latestError = record.error ? `: ${record.error}` : (record.reason ? `: ${record.reason}` : '');
+    const latestDryRun = record.dryRun ? ' (dry run only)' : '';
+    lines.push(`  Latest: ${color(record.status)(record.status)}${latestDryRun}${latestError}` + chalk.gray(` (${record.updatedAt || record.processedAt || '-'})`));
+    if (record.mediaUniqueId) {
+      lines.push(chalk.gray(`  Media: ${record.mediaUniqueId}`));
+    }
+
+    const attempts = record.attempts || [];
+    const total = record.attemptCount || attempts.length;
+    lines.push(`  Attempts: ${total}` + (total > attempts.length ? chalk.gray(` (last ${attempts.length} kept)`) : ''));
+    attempts.forEach((attempt, index) => {
+      const parts = [attempt.at || '-', color(attempt.status)(attempt.status)];
+      if (attempt.httpStatus) {
+        parts.push(`HTTP ${attempt.httpStatus}`);
+      }
+      if (attempt.bytes) {
+        parts.push(`${attempt.bytes} bytes`);
+      }
+      if (attempt.durationMs !== null && attempt.durationMs !== undefined) {
+        parts.push(`${(attempt.durationMs / 1000).toFixed(1)}s`);
+      }
+      if (attempt.dryRun) {
+        parts.push('dry run');
+      }
+      if (attempt.runId) {
+        parts.push(chalk.gray(`run ${attempt.runId}`));
+      }
+      const error = attempt.error ? ` - ${attempt.error}` : (attempt.reason ? ` - ${attempt.reason}` : '');
+      lines.push(`    ${index + 1}. ${parts.join('  ')}${error}`);
+    });
+
+    const { episodeId, ...details } = record;
+    this.log('info', `History of episode ${episodeId}`, { podcastId, episodeId, ...details }, lines.join('\n'));
+  }
+
+  /**
+   * Log the start of an episode with a short status detail on the same line
+   * @param {string} title - Episode title
+   * @param {string} status - Episode status ('processing' or the result it was given without processing)
+   * @param {string} detail - Detail shown after the status in parentheses
+   */
+  episodeStart(title, status, detail) {
+    this.log('info', `Processing: ${title} (${status}; ${detail})`, { title, status, detail },
+      chalk.cyan('🔄 Processing: ' + title) + ` (${status}; ${detail})`);
+  }
+
+  /**
+   * Log episode processing result. Successes and skips are only shown on the
+   * console in verbose mode, but always reach JSON output and the log file.
    * @param {Object} episode - Episode object
    * @param {string} status - Processing status
-   * @param {string} [error] - Error message if failed
+   * @param {string} [error] - Error message if failed, or the reason for a skip
    */
   episodeResult(episode, status, error = null) {
     const title = episode.title || episode.id;
     const truncatedTitle = title.length > 50 ? title.substring(0, 47) + '...' : title;
+    const fields = { episodeId: episode.id, status, error };
+    const verboseText = (text) => this.isVerbose ? chalk.gray('🔍 ' + text) : null;
     
     switch (status) {
       case 'success':
-        this.verbose(`✅ ${truncatedTitle}`);
+        this.log('info', `${title}: success`, fields, verboseText(`✅ ${truncatedTitle}`));
         break;
       case 'failed':
-        this.error(`❌ ${truncatedTitle}${error ? ': ' + error : ''}`);
+        this.log('error', `${title}: failed${error ? ': ' + error : ''}`, fields,
+          chalk.red(`❌ ❌ ${truncatedTitle}${error ? ': ' + error : ''}`));
         break;
       case 'skipped':
-        this.verbose(`⏭️  ${truncatedTitle} (already has custom art)`);
+        this.log('info', `${title}: skipped (${error || 'skipped'})`, fields, verboseText(`⏭️  ${truncatedTitle} (${error || 'skipped'})`));
+        break;
+      case 'verify-failed':
+        this.log('error', `${title}: verification failed${error ? ': ' + error : ''}`, fields,
+          chalk.red(`❌ 🔎 ${truncatedTitle}: verification failed${error ? ': ' + error : ''}`));
+        break;
+      case 'no-source-art':
+        this.log('warn', `${title}: media file has no embedded art${error ? ' (' + error + ')' : ''}`, fields,
+          chalk.yellow(`⚠️  🖼️  ${truncatedTitle}: media file has no embedded art${error ? ' (' + error + ')' : ''}`));
         break;
       default:
-        this.verbose(`🔄 ${truncatedTitle}`);
+        this.log('debug', `${title}: ${status}`, fields, chalk.gray(`🔍 🔄 ${truncatedTitle}`));
     }
   }
 
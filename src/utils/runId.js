@@ -0,0 +1,22 @@
+/**
+ * Run identifier generation
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create an identifier for one invocation of the tool.
+ * Sorts by start time, e.g. 20250621-143005-a1b2
+ * @param {Date} [date=new Date()] - Run start time
+ * @returns {string} Run ID
+ */
+function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+module.exports = {
+  createRunId
+};
@@ -0,0 +1,107 @@
+/**
+ * Cooperative shutdown on SIGINT/SIGTERM
+ * Copyright (c) JAB Ventures, Inc., 2025
+ * Licensed under GPL v2
+ */
+
+const { config } = require('./config');
+
+// Exit status for each handled signal (128 + signal number)
+const SIGNAL_EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143
+};
+
+class ShutdownController {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options] - Shutdown options
+   * @param {number} [options.gracePeriod=config.processing.shutdownGracePeriod] - Milliseconds in-flight
+   *   requests get to finish after the first signal before they are aborted
+   */
+  constructor(logger, { gracePeriod = config.processing.shutdownGracePeriod } = {}) {
+    this.logger = logger;
+    this.gracePeriod = gracePeriod;
+    this.abortController = new AbortController();
+    this.signalName = null;
+    this.handlers = {};
+  }
+
+  /**
+   * Aborted when in-flight requests must stop; pass it to API requests
+   * @returns {AbortSignal} Abort signal
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Whether a shutdown has been requested; no new work should be started
+   * @returns {boolean} True after the first signal
+   */
+  get requested() {
+    return this.signalName !== null;
+  }
+
+  /**
+   * Exit status for the signal that stopped the run
+   * @returns {number} 0 if no signal was received
+   */
+  get exitCode() {
+    return this.signalName ? SIGNAL_EXIT_CODES[this.signalName] : 0;
+  }
+
+  /**
+   * Handle SIGINT and SIGTERM: the first stops new work, the second forces exit
+   */
+  install() {
+    for (const signalName of Object.keys(SIGNAL_EXIT_CODES)) {
+      this.handlers[signalName] = () => this.onSignal(signalName);
+      process.on(signalName, this.handlers[signalName]);
+    }
+  }
+
+  /**
+   * Remove the signal handlers
+   */
+  uninstall() {
+    for (const [signalName, handler] of Object.entries(this.handlers)) {
+      process.removeListener(signalName, handler);
+    }
+    this.handlers = {};
+  }
+
+  /**
+   * React to a signal
+   * @param {string} signalName - Signal received
+   */
+  onSignal(signalName) {
+    if (this.requested) {
+      this.logger.error(`Received ${signalName} again; exiting immediately. The episode in progress may be left unrecorded.`);
+      process.exit(SIGNAL_EXIT_CODES[signalName]);
+    }
+
+    this.signalName = signalName;
+    this.logger.warning(`Received ${signalName}. Finishing the episodes in progress and saving state; send it again to exit immediately.`, { signal: signalName });
+
+    // Requests still running after the grace period are aborted
+    const timer = setTimeout(() => {
+      this.logger.warning(`Aborting requests still running after ${this.gracePeriod / 1000}s`);
+      this.abortController.abort();
+    }, this.gracePeriod);
+    timer.unref();
+  }
+
+  /**
+   * Check whether an error came from a request aborted by the shutdown
+   * @param {Error} error - Error to check
+   * @returns {boolean} True if the request was aborted
+   */
+  isAbortError(error) {
+    return this.signal.aborted && !!error && (error.code === 'ERR_CANCELED' || error.name === 'AbortError' || error.name === 'CanceledError');
+  }
+}
+
+ShutdownController.SIGNAL_EXIT_CODES = SIGNAL_EXIT_CODES;
+
+module.exports = ShutdownController;